@@ -0,0 +1,68 @@
+// config/mail.js
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const defaultFrom = process.env.MAIL_FROM || 'FindDoctor <no-reply@finddoctor.local>';
+
+// Sends mail through a real SMTP server
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+// Writes every message to a local outbox directory and logs it, so flows that
+// send mail work in development and tests without a mail server
+const createOutboxTransport = () => {
+  const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox');
+
+  return {
+    name: 'outbox',
+    send: async (message) => {
+      await fs.mkdir(outboxDir, { recursive: true });
+      const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+      await fs.writeFile(path.join(outboxDir, fileName), JSON.stringify(message, null, 2));
+      console.log(`Mail to ${message.to} (${message.subject}) written to ${path.join(outboxDir, fileName)}`);
+      return { messageId: fileName };
+    }
+  };
+};
+
+const transports = {
+  smtp: createSmtpTransport,
+  outbox: createOutboxTransport
+};
+
+// MAIL_TRANSPORT picks the transport; default to SMTP only when it is configured
+const transportName = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'outbox');
+if (!transports[transportName]) {
+  throw new Error(`Unknown MAIL_TRANSPORT "${transportName}"`);
+}
+let transport = transports[transportName]();
+
+// Send a message: { to, subject, text, html }
+const sendMail = (message) => transport.send({ from: defaultFrom, ...message });
+
+// Swap the transport, e.g. for an in-memory one in tests
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  createSmtpTransport,
+  createOutboxTransport
+};
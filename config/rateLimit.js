@@ -0,0 +1,90 @@
+// config/rateLimit.js
+
+// Fixed-window counters kept in this process. Fine for a single instance;
+// deployments with several instances should plug in a shared store.
+const createMemoryStore = () => {
+  const windows = new Map();
+
+  // Drop expired windows now and then so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    windows.forEach((window, key) => {
+      if (window.resetAt <= now) windows.delete(key);
+    });
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    name: 'memory',
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return { count: window.count, resetAt: window.resetAt };
+    },
+    reset: async (key) => {
+      windows.delete(key);
+    }
+  };
+};
+
+// Limits per route. key is what gets counted: 'ip', 'user' (falls back to the
+// IP when nobody is signed in) or 'email' (the email in the request body).
+// Each can be overridden with RATE_LIMIT_<NAME>=<max>/<window seconds>,
+// e.g. RATE_LIMIT_LOGIN=20/900 or RATE_LIMIT_LOGIN_ACCOUNT=10/900.
+const defaults = {
+  login: { max: 20, windowMs: 15 * 60 * 1000, key: 'ip' },
+  loginAccount: { max: 10, windowMs: 15 * 60 * 1000, key: 'email' },
+  register: { max: 5, windowMs: 60 * 60 * 1000, key: 'ip' },
+  refresh: { max: 60, windowMs: 15 * 60 * 1000, key: 'ip' },
+  passwordReset: { max: 5, windowMs: 60 * 60 * 1000, key: 'ip' },
+  emailChange: { max: 5, windowMs: 60 * 60 * 1000, key: 'user' },
+  unlock: { max: 10, windowMs: 60 * 60 * 1000, key: 'ip' },
+  comment: { max: 10, windowMs: 10 * 60 * 1000, key: 'user' },
+  contact: { max: 5, windowMs: 60 * 60 * 1000, key: 'user' },
+  // Separate from new tickets so an active conversation doesn't run into their limit
+  contactFollowUp: { max: 30, windowMs: 60 * 60 * 1000, key: 'user' }
+};
+
+const envName = (name) => `RATE_LIMIT_${name.replace(/([A-Z])/g, '_$1').toUpperCase()}`;
+
+const parseOverride = (value) => {
+  const match = /^(\d+)\/(\d+)$/.exec(value || '');
+  if (!match) return null;
+  return { max: parseInt(match[1]), windowMs: parseInt(match[2]) * 1000 };
+};
+
+const limits = {};
+Object.entries(defaults).forEach(([name, limit]) => {
+  const raw = process.env[envName(name)];
+  const override = parseOverride(raw);
+  if (raw && !override) {
+    throw new Error(`${envName(name)} must look like <max>/<window seconds>`);
+  }
+  limits[name] = { ...limit, ...override };
+});
+
+// RATE_LIMIT_ENABLED=false turns every limiter off, e.g. for load tests
+const enabled = process.env.RATE_LIMIT_ENABLED !== 'false';
+
+let store = createMemoryStore();
+
+// The store counting requests: { increment(key, windowMs) -> { count, resetAt }, reset(key) }
+const getStore = () => store;
+
+// Swap the store, e.g. for one backed by Redis when running several instances
+const setStore = (customStore) => {
+  store = customStore;
+};
+
+module.exports = {
+  limits,
+  enabled,
+  getStore,
+  setStore,
+  createMemoryStore
+};
@@ -0,0 +1,171 @@
+// config/storage.js
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { cloudinary } = require('./cloudinary');
+const { JWT_SECRET } = require('../utils/tokens');
+
+const apiUrl = (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+// Where the local provider writes files; server.js serves uploadsDir at
+// /uploads. Private files go to a directory that is never served statically.
+const uploadsDir = path.resolve(process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads'));
+const privateUploadsDir = path.resolve(process.env.PRIVATE_UPLOADS_DIR || path.join(__dirname, '..', 'private-uploads'));
+const uploadsUrl = (process.env.UPLOADS_URL || `${apiUrl}/uploads`).replace(/\/$/, '');
+
+// How long links to private files work
+const SIGNED_URL_TTL = 10 * 60;
+
+// Stores files in Cloudinary; keys are public ids. Private files use the
+// 'authenticated' delivery type and their keys carry the format
+// ('doctor-credentials/abc.pdf'), which download links need.
+const createCloudinaryStorage = () => {
+  const splitKey = (key) => {
+    const extension = path.extname(key);
+    return { publicId: key.slice(0, -extension.length), format: extension.slice(1) };
+  };
+
+  return {
+    name: 'cloudinary',
+    put: (buffer, { folder, isPrivate }) => new Promise((resolve, reject) => {
+      const options = { folder, resource_type: 'auto', type: isPrivate ? 'authenticated' : 'upload' };
+      const stream = cloudinary.uploader.upload_stream(options, (error, result) => {
+        if (error) return reject(error);
+        resolve(isPrivate
+          ? { key: `${result.public_id}.${result.format}` }
+          : { key: result.public_id, url: result.secure_url });
+      });
+      stream.end(buffer);
+    }),
+    delete: (key, { isPrivate } = {}) => (isPrivate
+      ? cloudinary.uploader.destroy(splitKey(key).publicId, { type: 'authenticated' })
+      : cloudinary.uploader.destroy(key)),
+    url: (key) => cloudinary.url(key, { secure: true }),
+    signedUrl: (key, expiresIn) => {
+      const { publicId, format } = splitKey(key);
+      return cloudinary.utils.private_download_url(publicId, format, {
+        type: 'authenticated',
+        expires_at: Math.floor(Date.now() / 1000) + expiresIn
+      });
+    }
+  };
+};
+
+// Signature of a link to a private local file, valid until expires (epoch seconds)
+const signLocalKey = (key, expires) => crypto
+  .createHmac('sha256', process.env.FILE_URL_SECRET || JWT_SECRET)
+  .update(`${key}:${expires}`)
+  .digest('hex');
+
+// Path of a local file, refusing keys that point outside its directory
+const localPath = (dir, key) => {
+  const resolved = path.resolve(dir, key);
+  if (!resolved.startsWith(dir + path.sep)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return resolved;
+};
+
+// Writes files under uploadsDir, so development and tests need no network.
+// Keys are paths relative to uploadsDir, or privateUploadsDir for private
+// files, which are read through signed links to routes/files.js.
+const createLocalStorage = () => {
+  const filePath = (key, isPrivate) => localPath(isPrivate ? privateUploadsDir : uploadsDir, key);
+  const url = (key) => `${uploadsUrl}/${key}`;
+
+  return {
+    name: 'local',
+    put: async (buffer, { folder, extension, isPrivate }) => {
+      const key = `${folder}/${crypto.randomBytes(16).toString('hex')}${extension}`;
+      await fs.mkdir(path.dirname(filePath(key, isPrivate)), { recursive: true });
+      await fs.writeFile(filePath(key, isPrivate), buffer);
+      return isPrivate ? { key } : { key, url: url(key) };
+    },
+    delete: (key, { isPrivate } = {}) => fs.rm(filePath(key, isPrivate), { force: true }),
+    url,
+    signedUrl: (key, expiresIn) => {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      return `${apiUrl}/api/files/private/${key}?expires=${expires}&signature=${signLocalKey(key, expires)}`;
+    }
+  };
+};
+
+// Path of a private local file if the link's signature is valid and unexpired
+const resolveSignedLocalFile = (key, expires, signature) => {
+  if (!/^\d+$/.test(expires || '') || parseInt(expires) < Date.now() / 1000) return null;
+  const expected = Buffer.from(signLocalKey(key, expires));
+  const given = Buffer.from(String(signature || ''));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  return localPath(privateUploadsDir, key);
+};
+
+const providers = {
+  cloudinary: createCloudinaryStorage,
+  local: createLocalStorage
+};
+
+// STORAGE_PROVIDER picks where new uploads go; default to Cloudinary only when it is configured
+const providerName = process.env.STORAGE_PROVIDER || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+if (!providers[providerName]) {
+  throw new Error(`Unknown STORAGE_PROVIDER "${providerName}"`);
+}
+
+// Files stay with the provider they were stored by, so every provider can
+// still delete its files after the default changes
+const instances = {};
+const storageFor = (name) => {
+  if (!instances[name] && providers[name]) instances[name] = providers[name]();
+  return instances[name];
+};
+let storage = storageFor(providerName);
+
+// Store an uploaded file and return its reference: { provider, key, url }.
+// Private files have no lasting url; see fileUrl.
+const putFile = async (buffer, { folder, extension = '', isPrivate = false }) => {
+  const { key, url } = await storage.put(buffer, { folder, extension, isPrivate });
+  return isPrivate
+    ? { provider: storage.name, key, private: true }
+    : { provider: storage.name, key, url };
+};
+
+// A link to a stored file: the url of a public file, or a short-lived signed
+// link to a private one. Only hand private links to people allowed to see them.
+const fileUrl = (file, expiresIn = SIGNED_URL_TTL) => {
+  if (!file?.private) return file?.url || null;
+  const provider = storageFor(file.provider);
+  return provider?.signedUrl ? provider.signedUrl(file.key, expiresIn) : null;
+};
+
+// Delete a stored file. Never throws: a file left behind is logged rather
+// than failing the request that replaced or removed it.
+const deleteFile = async (file) => {
+  if (!file?.key) return;
+  const provider = storageFor(file.provider);
+  if (!provider) {
+    console.warn(`Not deleting ${file.key}: no storage provider "${file.provider}"`);
+    return;
+  }
+  try {
+    await provider.delete(file.key, { isPrivate: Boolean(file.private) });
+  } catch (error) {
+    console.error('Delete stored file error:', error);
+  }
+};
+
+// Swap the provider for new uploads, e.g. for an in-memory one in tests
+const setStorage = (customStorage) => {
+  instances[customStorage.name] = customStorage;
+  storage = customStorage;
+};
+
+module.exports = {
+  uploadsDir,
+  privateUploadsDir,
+  putFile,
+  fileUrl,
+  deleteFile,
+  resolveSignedLocalFile,
+  setStorage,
+  createCloudinaryStorage,
+  createLocalStorage
+};
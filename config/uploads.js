@@ -0,0 +1,128 @@
+// config/uploads.js
+const path = require('path');
+const multer = require('multer');
+const sharp = require('sharp');
+const { putFile } = require('./storage');
+
+// Where each kind of upload goes and what it may be. Images are always decoded
+// and re-encoded before they are stored, so only real image data is kept;
+// those with a resize are also cropped to fill that size.
+const blogImages = {
+  folder: 'blog-images',
+  formats: ['jpg', 'jpeg', 'png', 'gif', 'webp'],
+  resize: { width: 1200, height: 630 },
+  maxSize: 5 * 1024 * 1024 // 5MB limit
+};
+
+// No SVG: it can carry scripts and local uploads are served from the API origin
+const profileImages = {
+  folder: 'profile-images',
+  formats: ['jpg', 'jpeg', 'png', 'gif', 'webp'],
+  resize: { width: 400, height: 400 },
+  maxSize: 2 * 1024 * 1024 // 2MB limit
+};
+
+// Doctor license scans and certificates (images or PDFs), never public
+const credentialDocuments = {
+  folder: 'doctor-credentials',
+  isPrivate: true,
+  formats: ['jpg', 'jpeg', 'png', 'webp', 'pdf'],
+  maxSize: 5 * 1024 * 1024, // 5MB limit
+  maxFiles: 5
+};
+
+// The content type a client must send with each format
+const mimeTypes = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  pdf: 'application/pdf'
+};
+
+const invalidFileType = (profile) => {
+  const error = new Error(`Only ${profile.formats.join(', ')} files are allowed`);
+  error.code = 'INVALID_FILE_TYPE';
+  return error;
+};
+
+// Files are kept in memory until the route has validated the request, so
+// nothing is stored for requests that get rejected
+const createUpload = (profile) => multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: profile.maxSize,
+    files: profile.maxFiles || 1
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).slice(1).toLowerCase();
+    if (profile.formats.includes(extension) && file.mimetype === mimeTypes[extension]) {
+      return cb(null, true);
+    }
+    cb(invalidFileType(profile));
+  }
+});
+
+const uploadBlogImage = createUpload(blogImages);
+const uploadProfileImage = createUpload(profileImages);
+const uploadCredentialDocuments = createUpload(credentialDocuments);
+
+// Decode an image and encode it again in the same format, dropping anything
+// that isn't pixels (scripts, EXIF location). Fails for files that aren't an
+// image in one of the profile's formats, whatever their name says.
+const reencodeImage = async (buffer, profile) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw invalidFileType(profile);
+  }
+
+  const format = metadata.format === 'jpeg' ? 'jpg' : metadata.format;
+  if (!profile.formats.includes(format)) {
+    throw invalidFileType(profile);
+  }
+
+  let image = sharp(buffer).rotate();
+  if (profile.resize) {
+    image = image.resize(profile.resize.width, profile.resize.height, { fit: 'cover' });
+  }
+
+  try {
+    return { buffer: await image.toFormat(metadata.format).toBuffer(), format };
+  } catch (error) {
+    throw invalidFileType(profile);
+  }
+};
+
+// Store a file received by one of the uploads above, returning its reference.
+// Throws an INVALID_FILE_TYPE error when the content isn't what it claims to be.
+const storeUpload = async (file, profile) => {
+  let upload;
+  if (file.mimetype === 'application/pdf') {
+    if (!file.buffer.subarray(0, 5).equals(Buffer.from('%PDF-'))) {
+      throw invalidFileType(profile);
+    }
+    upload = { buffer: file.buffer, format: 'pdf' };
+  } else {
+    upload = await reencodeImage(file.buffer, profile);
+  }
+
+  // The extension follows the content, not the name it was uploaded with
+  return putFile(upload.buffer, {
+    folder: profile.folder,
+    extension: `.${upload.format}`,
+    isPrivate: Boolean(profile.isPrivate)
+  });
+};
+
+module.exports = {
+  uploadBlogImage,
+  uploadProfileImage,
+  uploadCredentialDocuments,
+  storeUpload,
+  blogImages,
+  profileImages,
+  credentialDocuments
+};
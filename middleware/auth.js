@@ -2,6 +2,31 @@
 // middleware/auth.js
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { JWT_SECRET } = require('../utils/tokens');
+
+// Resolve an access token to its user and session. Throws on an invalid or
+// expired JWT and returns null when the session was revoked or the user is gone.
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+
+  // Tokens issued before sessions existed cannot be revoked, so reject them
+  if (!decoded.sessionId) {
+    return null;
+  }
+
+  const session = await Session.findOne({ _id: decoded.sessionId, user: decoded.userId });
+  if (!session || !session.isActive()) {
+    return null;
+  }
+
+  const user = await User.findById(decoded.userId).select('-password');
+  if (!user) {
+    return null;
+  }
+
+  return { user, session };
+};
 
 const auth = async (req, res, next) => {
   try {
@@ -11,20 +36,41 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const user = await User.findById(decoded.userId).select('-password');
+    const result = await verifyAccessToken(token);
     
-    if (!user) {
+    if (!result) {
       return res.status(401).json({ message: 'Token is not valid' });
     }
 
-    req.user = user;
+    if (result.user.isSuspended) {
+      return res.status(403).json({ message: 'Your account has been suspended' });
+    }
+
+    req.user = result.user;
+    req.sessionId = result.session._id;
     next();
   } catch (error) {
     res.status(401).json({ message: 'Token is not valid' });
   }
 };
 
+// Optional auth middleware - sets req.user if token is present but doesn't require it
+const optionalAuth = async (req, res, next) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '') || 
+                req.header('x-auth-token');
+  
+  if (token) {
+    try {
+      const result = await verifyAccessToken(token);
+      req.user = result && !result.user.isSuspended ? result.user : null;
+    } catch (error) {
+      // Token invalid, but continue without user
+      req.user = null;
+    }
+  }
+  next();
+};
+
 const adminAuth = (req, res, next) => {
   if (req.user.role !== 'admin') {
     return res.status(403).json({ message: 'Access denied. Admin only.' });
@@ -39,7 +85,14 @@ const doctorAuth = (req, res, next) => {
   next();
 };
 
-module.exports = { auth, adminAuth, doctorAuth };
+const requireVerified = (req, res, next) => {
+  if (!req.user.isVerified) {
+    return res.status(403).json({ message: 'Please verify your email address first' });
+  }
+  next();
+};
+
+module.exports = { auth, optionalAuth, adminAuth, doctorAuth, requireVerified, verifyAccessToken };
 
 
 
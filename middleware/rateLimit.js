@@ -0,0 +1,78 @@
+// middleware/rateLimit.js
+const { limits, enabled, getStore } = require('../config/rateLimit');
+
+// What a limit counts for this request, or null to skip it
+const keyFor = (limit, req) => {
+  switch (limit.key) {
+    case 'user':
+      return req.user ? `user:${req.user._id}` : `ip:${req.ip}`;
+    case 'email': {
+      const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+      return email ? `email:${email}` : null;
+    }
+    default:
+      return `ip:${req.ip}`;
+  }
+};
+
+// Limit requests using the named entry of config/rateLimit.js. Sets the
+// RateLimit-* headers and answers 429 with Retry-After once over the limit.
+const rateLimit = (name) => {
+  const limit = limits[name];
+  if (!limit) {
+    throw new Error(`Unknown rate limit "${name}"`);
+  }
+
+  return async (req, res, next) => {
+    if (!enabled) return next();
+
+    const key = keyFor(limit, req);
+    if (!key) return next();
+
+    let result;
+    try {
+      result = await getStore().increment(`${name}:${key}`, limit.windowMs);
+    } catch (error) {
+      // Don't lock everyone out because the store is unavailable
+      console.error('Rate limit store error:', error);
+      return next();
+    }
+
+    const remaining = Math.max(0, limit.max - result.count);
+    const resetSeconds = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000));
+
+    // With several limits on one route, report the one closest to running out
+    const reported = res.get('RateLimit-Remaining');
+    if (reported === undefined || remaining < parseInt(reported)) {
+      res.set({
+        'RateLimit-Limit': String(limit.max),
+        'RateLimit-Remaining': String(remaining),
+        'RateLimit-Reset': String(resetSeconds),
+        'RateLimit-Policy': `${limit.max};w=${Math.round(limit.windowMs / 1000)}`
+      });
+    }
+
+    if (result.count > limit.max) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        message: 'Too many requests, please try again later',
+        retryAfter: resetSeconds
+      });
+    }
+
+    next();
+  };
+};
+
+// Clear a request's counter for a limit, e.g. after a successful login
+const resetRateLimit = async (name, req) => {
+  const key = keyFor(limits[name], req);
+  if (!key) return;
+  try {
+    await getStore().reset(`${name}:${key}`);
+  } catch (error) {
+    console.error('Rate limit store error:', error);
+  }
+};
+
+module.exports = { rateLimit, resetRateLimit };
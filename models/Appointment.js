@@ -0,0 +1,71 @@
+// models/Appointment.js
+const mongoose = require('mongoose');
+
+const appointmentSchema = new mongoose.Schema({
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['booked', 'cancelled', 'completed', 'no-show'],
+    default: 'booked'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // The doctor's own notes, never shown to the patient
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    select: false
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  rescheduledFrom: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// A doctor can only hold one active booking per slot. The partial unique index
+// makes the database reject concurrent bookings of the same slot atomically.
+appointmentSchema.index(
+  { doctor: 1, startTime: 1 },
+  { unique: true, partialFilterExpression: { status: 'booked' } }
+);
+appointmentSchema.index({ patient: 1, startTime: 1 });
+appointmentSchema.index({ doctor: 1, status: 1, startTime: 1 });
+
+module.exports = mongoose.model('Appointment', appointmentSchema);
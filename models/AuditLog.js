@@ -0,0 +1,91 @@
+// models/AuditLog.js
+// Append-only record of administrative and security-sensitive actions.
+// Entries are never changed; MongoDB removes them after the retention period.
+const mongoose = require('mongoose');
+
+const DAY = 24 * 60 * 60;
+const RETENTION_DAYS = Math.max(parseInt(process.env.AUDIT_LOG_RETENTION_DAYS) || 365, 1);
+
+const auditLogSchema = new mongoose.Schema({
+  // Missing for anonymous events such as a failed login
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Kept as text so entries stay readable after the account is deleted
+  actorEmail: {
+    type: String
+  },
+  actorRole: {
+    type: String
+  },
+  // Dotted name such as 'blog.approve' or 'auth.login-failed'
+  action: {
+    type: String,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['blog', 'contact', 'user', 'session']
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Extra details, e.g. the email a failed login used
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+auditLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * DAY });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// Refuse every write except inserts
+const readOnly = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+auditLogSchema.pre([
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+], readOnly);
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return readOnly(next);
+  next();
+});
+
+// An existing TTL index keeps its old expiry when AUDIT_LOG_RETENTION_DAYS
+// changes, so update it in place at startup
+auditLogSchema.statics.syncRetention = async function() {
+  try {
+    await this.db.db.command({
+      collMod: this.collection.collectionName,
+      index: { keyPattern: { createdAt: 1 }, expireAfterSeconds: RETENTION_DAYS * DAY }
+    });
+  } catch (error) {
+    // The collection or index doesn't exist yet; index creation sets the expiry
+    if (error.codeName !== 'NamespaceNotFound' && error.codeName !== 'IndexNotFound') {
+      console.error('Audit log retention sync error:', error);
+    }
+  }
+};
+
+auditLogSchema.statics.RETENTION_DAYS = RETENTION_DAYS;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
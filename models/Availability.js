@@ -0,0 +1,176 @@
+// models/Availability.js
+const mongoose = require('mongoose');
+
+// All schedule times are 'HH:mm' strings and all dates 'YYYY-MM-DD' strings,
+// interpreted in UTC so slot boundaries are identical for every client.
+const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const breakSchema = new mongoose.Schema({
+  startTime: {
+    type: String,
+    required: true,
+    match: timePattern
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: timePattern
+  }
+}, { _id: false });
+
+const availabilitySchema = new mongoose.Schema({
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  slotDuration: {
+    type: Number, // in minutes
+    default: 30,
+    min: 5,
+    max: 240
+  },
+  weeklySchedule: [{
+    dayOfWeek: {
+      type: Number, // 0 = Sunday ... 6 = Saturday
+      required: true,
+      min: 0,
+      max: 6
+    },
+    startTime: {
+      type: String,
+      required: true,
+      match: timePattern
+    },
+    endTime: {
+      type: String,
+      required: true,
+      match: timePattern
+    },
+    breaks: [breakSchema]
+  }],
+  // Holidays and one-off changes to the weekly schedule
+  exceptions: [{
+    date: {
+      type: String,
+      required: true,
+      match: datePattern
+    },
+    isAvailable: {
+      type: Boolean,
+      default: false
+    },
+    startTime: {
+      type: String,
+      match: timePattern
+    },
+    endTime: {
+      type: String,
+      match: timePattern
+    },
+    breaks: [breakSchema],
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Make sure every working period ends after it starts
+availabilitySchema.pre('validate', function(next) {
+  const periods = [
+    ...this.weeklySchedule,
+    ...this.exceptions.filter(exception => exception.isAvailable)
+  ];
+
+  for (const period of periods) {
+    if (!period.startTime || !period.endTime) {
+      this.invalidate('weeklySchedule', 'Working hours need both a start and an end time');
+    } else if (toMinutes(period.endTime) <= toMinutes(period.startTime)) {
+      this.invalidate('weeklySchedule', `End time ${period.endTime} must be after start time ${period.startTime}`);
+    }
+  }
+  next();
+});
+
+// Working periods for a single UTC day, with exceptions taking precedence
+availabilitySchema.methods.getPeriodsForDate = function(date) {
+  const dateKey = date.toISOString().slice(0, 10);
+  const exception = this.exceptions.find(item => item.date === dateKey);
+
+  if (exception) {
+    if (!exception.isAvailable) return [];
+    return [exception];
+  }
+
+  return this.weeklySchedule.filter(day => day.dayOfWeek === date.getUTCDay());
+};
+
+// Generate every bookable slot between two dates (ignores existing appointments)
+availabilitySchema.methods.getSlots = function(from, to) {
+  const slots = [];
+  if (!this.isActive) return slots;
+
+  const day = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+
+  while (day < to) {
+    this.getPeriodsForDate(day).forEach(period => {
+      const end = toMinutes(period.endTime);
+      const breaks = (period.breaks || []).map(item => ({
+        start: toMinutes(item.startTime),
+        end: toMinutes(item.endTime)
+      }));
+
+      for (let start = toMinutes(period.startTime); start + this.slotDuration <= end; start += this.slotDuration) {
+        const slotEnd = start + this.slotDuration;
+        const overlapsBreak = breaks.some(item => start < item.end && slotEnd > item.start);
+        if (overlapsBreak) continue;
+
+        const startTime = new Date(day.getTime() + start * 60000);
+        if (startTime < from || startTime >= to) continue;
+
+        slots.push({
+          startTime,
+          endTime: new Date(day.getTime() + slotEnd * 60000)
+        });
+      }
+    });
+
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+
+  return slots;
+};
+
+// Slots for a doctor between two dates, minus the ones already booked
+availabilitySchema.statics.findFreeSlots = async function(doctorId, from, to) {
+  const availability = await this.findOne({ doctor: doctorId });
+  if (!availability) return [];
+
+  const booked = await mongoose.model('Appointment').find({
+    doctor: doctorId,
+    status: 'booked',
+    startTime: { $lt: to },
+    endTime: { $gt: from }
+  }).select('startTime endTime');
+
+  return availability.getSlots(from, to).filter(slot => !booked.some(appointment =>
+    slot.startTime < appointment.endTime && slot.endTime > appointment.startTime
+  ));
+};
+
+module.exports = mongoose.model('Availability', availabilitySchema);
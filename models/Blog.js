@@ -1,5 +1,8 @@
 // models/Blog.js
 const mongoose = require('mongoose');
+const { assignSlug } = require('../utils/slug');
+const { renderMarkdown } = require('../utils/markdown');
+const { fileSchema } = require('./fileSchema');
 
 const blogSchema = new mongoose.Schema({
   title: {
@@ -8,11 +11,31 @@ const blogSchema = new mongoose.Schema({
     trim: true,
     maxlength: 200
   },
+  // Generated from the title; previousSlugs keep shared links working after a rename
+  slug: {
+    type: String,
+    lowercase: true
+  },
+  previousSlugs: [{
+    type: String,
+    lowercase: true
+  }],
+  // Markdown source
   content: {
     type: String,
     required: true,
     minlength: 10
   },
+  // Sanitized HTML and table of contents rendered from content on save
+  contentHtml: {
+    type: String
+  },
+  toc: [{
+    _id: false,
+    level: Number,
+    text: String,
+    id: String
+  }],
   summary: {
     type: String,
     required: true,
@@ -44,14 +67,27 @@ const blogSchema = new mongoose.Schema({
     trim: true
   }],
   featuredImage: {
-    type: String,
+    type: fileSchema,
     default: null
   },
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived'],
+    enum: ['draft', 'scheduled', 'published', 'archived'],
     default: 'draft'
   },
+  // 'scheduled' posts go live at publishAt; published posts are archived at unpublishAt
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  unpublishAt: {
+    type: Date,
+    default: null
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
   views: {
     type: Number,
     default: 0
@@ -66,26 +102,32 @@ const blogSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
-  comments: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
-    },
-    content: {
-      type: String,
-      required: true,
-      maxlength: 1000
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  // Comments live in their own collection (models/Comment.js); this is the
+  // number of visible ones, kept in sync by Comment.refreshCount
+  commentsCount: {
+    type: Number,
+    default: 0
+  },
+  // 'moderated' holds new comments until the author or an admin approves them
+  commentMode: {
+    type: String,
+    enum: ['open', 'moderated', 'disabled'],
+    default: 'open'
+  },
   readTime: {
     type: Number, // in minutes
     default: 1
   },
+  // Latest revision number (see models/BlogRevision.js)
+  revision: {
+    type: Number,
+    default: 0
+  },
+  // Revision an admin last approved, used to show what changed since
+  approvedRevision: {
+    type: Number,
+    default: null
+  },
   isApproved: {
     type: Boolean,
     default: false // Changed: default to false, let the route handle approval
@@ -112,21 +154,70 @@ const blogSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Calculate read time based on content length
+// Regenerate the slug from a title. Old slugs are only kept for posts that
+// have been public, since nobody can have shared a draft's link.
+blogSchema.methods.updateSlug = function(title = this.title) {
+  return assignSlug(this, title, {
+    fallback: 'post',
+    keepPrevious: Boolean(this.publishedAt) || this.status === 'published'
+  });
+};
+
+blogSchema.pre('validate', async function() {
+  if (this.slug && !this.isModified('title')) return;
+  await this.updateSlug();
+});
+
+// Rendered fields for a Markdown source, also used by routes that update
+// content without going through save()
+blogSchema.statics.renderContent = function(content) {
+  const { html, toc, readTime } = renderMarkdown(content);
+  return { contentHtml: html, toc, readTime };
+};
+
 blogSchema.pre('save', function(next) {
-  if (this.isModified('content') && this.content) {
-    const wordsPerMinute = 200;
-    const wordCount = this.content.split(/\s+/).length;
-    this.readTime = Math.ceil(wordCount / wordsPerMinute);
+  if ((this.isModified('content') || !this.contentHtml) && this.content) {
+    Object.assign(this, this.constructor.renderContent(this.content));
   }
   next();
 });
 
+// Filter for posts the public may see. It checks the schedule itself so posts
+// appear and expire on time even if the scheduler runs late.
+blogSchema.statics.publicFilter = function(now = new Date()) {
+  return {
+    isApproved: true,
+    $and: [
+      {
+        $or: [
+          { status: 'published' },
+          { status: 'scheduled', publishAt: { $lte: now } }
+        ]
+      },
+      { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+      { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] }
+    ]
+  };
+};
+
+// Same rule as publicFilter for a loaded document
+blogSchema.methods.isPubliclyVisible = function(now = new Date()) {
+  if (!this.isApproved) return false;
+  if (this.status !== 'published' && this.status !== 'scheduled') return false;
+  if (this.publishAt && this.publishAt > now) return false;
+  if (this.unpublishAt && this.unpublishAt <= now) return false;
+  return this.status === 'published' || Boolean(this.publishAt);
+};
+
 // Index for search and filtering
 blogSchema.index({ title: 'text', content: 'text', tags: 'text' });
+blogSchema.index({ slug: 1 }, { unique: true, partialFilterExpression: { slug: { $type: 'string' } } });
+blogSchema.index({ previousSlugs: 1 });
 blogSchema.index({ author: 1, status: 1 });
 blogSchema.index({ category: 1, status: 1 });
 blogSchema.index({ createdAt: -1 });
 blogSchema.index({ isApproved: 1, status: 1 });
+blogSchema.index({ status: 1, publishAt: 1 });
+blogSchema.index({ status: 1, unpublishAt: 1 });
 
 module.exports = mongoose.model('Blog', blogSchema);
\ No newline at end of file
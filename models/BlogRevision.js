@@ -0,0 +1,111 @@
+// models/BlogRevision.js
+const mongoose = require('mongoose');
+const { fileSchema } = require('./fileSchema');
+
+// Blog fields captured in every revision
+const TRACKED_FIELDS = ['title', 'content', 'summary', 'category', 'tags', 'featuredImage'];
+
+const blogRevisionSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  changedFields: [{
+    type: String,
+    enum: TRACKED_FIELDS
+  }],
+  snapshot: {
+    title: String,
+    content: String,
+    summary: String,
+    category: String,
+    tags: [String],
+    featuredImage: fileSchema
+  },
+  restoredFrom: {
+    type: Number
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+blogRevisionSchema.index({ blog: 1, revision: -1 }, { unique: true });
+
+const snapshotOf = (blog) => {
+  const snapshot = {};
+  TRACKED_FIELDS.forEach(field => {
+    const value = blog[field];
+    if (Array.isArray(value)) snapshot[field] = [...value];
+    else if (typeof value?.toObject === 'function') snapshot[field] = value.toObject();
+    else snapshot[field] = value ?? null;
+  });
+  return snapshot;
+};
+
+const isSame = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const MAX_RECORD_ATTEMPTS = 5;
+
+// Store the blog's current state as a new revision if any tracked field changed.
+// Returns the new revision, or null when nothing changed.
+blogRevisionSchema.statics.record = async function(blog, editor, options = {}) {
+  const snapshot = snapshotOf(blog);
+
+  // Concurrent edits can pick the same number. The unique index turns the
+  // later one away, which then retries on top of the revision that won.
+  for (let attempt = 1; ; attempt++) {
+    const previous = await this.findOne({ blog: blog._id }).sort({ revision: -1 });
+
+    const changedFields = TRACKED_FIELDS.filter(field =>
+      !previous || !isSame(previous.snapshot[field], snapshot[field])
+    );
+    if (previous && changedFields.length === 0) return null;
+
+    let revision;
+    try {
+      revision = await this.create({
+        blog: blog._id,
+        revision: previous ? previous.revision + 1 : 1,
+        editor,
+        changedFields,
+        snapshot,
+        restoredFrom: options.restoredFrom
+      });
+    } catch (error) {
+      if (error.code === 11000 && attempt < MAX_RECORD_ATTEMPTS) continue;
+      throw error;
+    }
+
+    // $max so a slower request doesn't move the counter back
+    await mongoose.model('Blog').updateOne({ _id: blog._id }, { $max: { revision: revision.revision } });
+    blog.revision = revision.revision;
+    return revision;
+  }
+};
+
+// Blogs created before revisions existed get their current state as revision 1,
+// which also counts as approved if the blog is approved
+blogRevisionSchema.statics.ensureBaseline = async function(blog) {
+  const exists = await this.exists({ blog: blog._id });
+  if (exists) return;
+
+  await this.record(blog, blog.author);
+  if (blog.isApproved) {
+    await mongoose.model('Blog').updateOne({ _id: blog._id }, { approvedRevision: 1 });
+    blog.approvedRevision = 1;
+  }
+};
+
+blogRevisionSchema.statics.TRACKED_FIELDS = TRACKED_FIELDS;
+
+module.exports = mongoose.model('BlogRevision', blogRevisionSchema);
@@ -0,0 +1,95 @@
+// models/Comment.js
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Direct parent for replies, null for top-level comments
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  // Top-level ancestor, so a whole thread can be loaded with one query
+  root: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  depth: {
+    type: Number,
+    default: 0
+  },
+  content: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  // 'pending' comments wait for the blog author or an admin on pre-moderated blogs
+  status: {
+    type: String,
+    enum: ['visible', 'pending', 'rejected'],
+    default: 'visible'
+  },
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: {
+    type: Date
+  },
+  // Deleted comments stay in place so replies keep their thread
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isPinned: {
+    type: Boolean,
+    default: false
+  },
+  pinnedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+commentSchema.index({ blog: 1, parent: 1, isPinned: -1, createdAt: -1 });
+commentSchema.index({ root: 1, createdAt: 1 });
+commentSchema.index({ author: 1 });
+
+// Never expose the text or author of a deleted comment
+commentSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.isDeleted) {
+      ret.content = null;
+      ret.author = null;
+    }
+    return ret;
+  }
+});
+
+// Recount the visible comments shown on the blog
+commentSchema.statics.refreshCount = async function(blogId) {
+  const count = await this.countDocuments({ blog: blogId, status: 'visible', isDeleted: false });
+  await mongoose.model('Blog').updateOne({ _id: blogId }, { commentsCount: count }, { timestamps: false });
+  return count;
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
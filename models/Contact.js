@@ -28,9 +28,77 @@ const contactSchema = mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'read', 'responded'],
+    enum: ['pending', 'read', 'responded', 'closed'],
     default: 'pending'
   },
+  // Follow-ups and replies after the initial message
+  messages: [{
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    authorRole: {
+      type: String,
+      enum: ['user', 'admin'],
+      required: true
+    },
+    content: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 5000
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Admin-only notes, never sent to the user
+  internalNotes: {
+    type: [{
+      author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      content: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 5000
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  assignedAt: {
+    type: Date
+  },
+  readAt: {
+    type: Date
+  },
+  readBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set when an admin replies and cleared once the user opens the ticket
+  hasUnreadResponse: {
+    type: Boolean,
+    default: false
+  },
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
   adminResponse: {
     type: String,
     trim: true
@@ -46,4 +114,8 @@ const contactSchema = mongoose.Schema({
   timestamps: true
 });
 
+contactSchema.index({ status: 1, lastActivityAt: -1 });
+contactSchema.index({ userId: 1, createdAt: -1 });
+contactSchema.index({ assignedTo: 1, status: 1 });
+
 module.exports = mongoose.model('Contact', contactSchema);
\ No newline at end of file
@@ -0,0 +1,51 @@
+// models/Follow.js
+const mongoose = require('mongoose');
+
+// A user following a doctor, a blog category or a tag
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['doctor', 'category', 'tag'],
+    required: true
+  },
+  // Set when following a doctor
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() { return this.targetType === 'doctor'; }
+  },
+  // Category or lowercased tag name
+  name: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 50,
+    required: function() { return this.targetType !== 'doctor'; }
+  }
+}, {
+  timestamps: true
+});
+
+followSchema.index({ follower: 1, targetType: 1, doctor: 1, name: 1 }, { unique: true });
+followSchema.index({ doctor: 1, targetType: 1 });
+
+// Doctors, categories and tags a user follows
+followSchema.statics.sourcesFor = async function(userId) {
+  const follows = await this.find({ follower: userId }).select('targetType doctor name').lean();
+  return {
+    doctors: follows.filter(follow => follow.targetType === 'doctor').map(follow => follow.doctor),
+    categories: follows.filter(follow => follow.targetType === 'category').map(follow => follow.name),
+    tags: follows.filter(follow => follow.targetType === 'tag').map(follow => follow.name)
+  };
+};
+
+followSchema.statics.countFollowers = function(doctorId) {
+  return this.countDocuments({ targetType: 'doctor', doctor: doctorId });
+};
+
+module.exports = mongoose.model('Follow', followSchema);
@@ -0,0 +1,65 @@
+// models/Notification.js
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = [
+  'blog-approved',
+  'blog-rejected',
+  'blog-comment',
+  'comment-reply',
+  'comment-approved',
+  'blog-like',
+  'contact-reply',
+  'contact-follow-up'
+];
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  // Who caused the notification, if anyone
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  // Frontend page the notification opens
+  link: {
+    type: String
+  },
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog'
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact'
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,109 @@
+// models/ReadingList.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const DEFAULT_LIST_NAME = 'Saved';
+const MAX_ITEMS = 500;
+
+const readingListSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Every user has one default list that bookmarks go to unless they pick another
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Bookmarked blogs in the owner's chosen order
+  items: {
+    type: [{
+      _id: false,
+      blog: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Blog',
+        required: true
+      },
+      addedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    validate: [items => items.length <= MAX_ITEMS, `A reading list can hold at most ${MAX_ITEMS} posts`]
+  },
+  // Set while the list is shared; anyone with the link can read the list
+  shareId: {
+    type: String
+  },
+  sharedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+readingListSchema.index({ user: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+readingListSchema.index({ user: 1, isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+readingListSchema.index({ shareId: 1 }, { unique: true, partialFilterExpression: { shareId: { $type: 'string' } } });
+readingListSchema.index({ 'items.blog': 1 });
+
+// The user's default list, created on first use
+readingListSchema.statics.findDefault = async function(userId) {
+  const query = () => this.findOneAndUpdate(
+    { user: userId, isDefault: true },
+    { $setOnInsert: { name: DEFAULT_LIST_NAME, items: [] } },
+    { upsert: true, new: true }
+  );
+
+  try {
+    return await query();
+  } catch (error) {
+    // Two concurrent first bookmarks both tried to create the list
+    if (error.code === 11000) return query();
+    throw error;
+  }
+};
+
+// Ids of the given blogs that the user has bookmarked in any list
+readingListSchema.statics.bookmarkedIds = async function(userId, blogIds) {
+  const wanted = new Set(blogIds.map(id => id.toString()));
+  // distinct returns every blog of the matching lists, so narrow it down
+  const bookmarked = await this.distinct('items.blog', {
+    user: userId,
+    'items.blog': { $in: blogIds }
+  });
+  return new Set(bookmarked.map(id => id.toString()).filter(id => wanted.has(id)));
+};
+
+// Drop deleted blogs from every list
+readingListSchema.statics.removeBlogs = function(blogIds) {
+  return this.updateMany(
+    { 'items.blog': { $in: blogIds } },
+    { $pull: { items: { blog: { $in: blogIds } } } }
+  );
+};
+
+readingListSchema.methods.share = function() {
+  if (!this.shareId) {
+    this.shareId = crypto.randomBytes(16).toString('hex');
+    this.sharedAt = new Date();
+  }
+  return this.shareId;
+};
+
+readingListSchema.methods.unshare = function() {
+  this.shareId = undefined;
+  this.sharedAt = undefined;
+};
+
+readingListSchema.statics.DEFAULT_LIST_NAME = DEFAULT_LIST_NAME;
+readingListSchema.statics.MAX_ITEMS = MAX_ITEMS;
+
+module.exports = mongoose.model('ReadingList', readingListSchema);
@@ -0,0 +1,119 @@
+// models/Review.js
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+  reply: {
+    content: {
+      type: String,
+      trim: true,
+      maxlength: 2000
+    },
+    createdAt: {
+      type: Date
+    },
+    updatedAt: {
+      type: Date
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// One review per patient and doctor
+reviewSchema.index({ doctor: 1, patient: 1 }, { unique: true });
+reviewSchema.index({ doctor: 1, createdAt: -1 });
+
+// Recompute the doctor's rating and review count from the stored reviews
+reviewSchema.statics.updateDoctorRating = async function(doctorId) {
+  const [stats] = await this.aggregate([
+    { $match: { doctor: new mongoose.Types.ObjectId(doctorId) } },
+    { $group: { _id: '$doctor', average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  await mongoose.model('User').findByIdAndUpdate(doctorId, {
+    rating: stats ? Math.round(stats.average * 10) / 10 : 0,
+    reviews: stats ? stats.count : 0
+  });
+};
+
+// Number of reviews for each star value, e.g. { 1: 0, 2: 1, 3: 0, 4: 5, 5: 12 }
+reviewSchema.statics.getDistribution = async function(doctorId) {
+  const groups = await this.aggregate([
+    { $match: { doctor: new mongoose.Types.ObjectId(doctorId) } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  groups.forEach(group => {
+    distribution[group._id] = group.count;
+  });
+  return distribution;
+};
+
+// Paginated reviews for a doctor, newest first, with the star distribution
+reviewSchema.statics.findForDoctor = async function(doctorId, page = 1, limit = 10) {
+  const filter = { doctor: doctorId };
+
+  const reviews = await this.find(filter)
+    .populate('patient', 'name')
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+
+  const total = await this.countDocuments(filter);
+  const distribution = await this.getDistribution(doctorId);
+
+  return {
+    reviews,
+    distribution,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    }
+  };
+};
+
+// Keep the doctor aggregates in sync whenever a review changes
+reviewSchema.post('save', async function(doc) {
+  await doc.constructor.updateDoctorRating(doc.doctor);
+});
+
+reviewSchema.post('findOneAndDelete', async function(doc) {
+  if (doc) {
+    await doc.constructor.updateDoctorRating(doc.doctor);
+  }
+});
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,65 @@
+// models/Session.js
+const mongoose = require('mongoose');
+
+// A session is one refresh token family, i.e. one signed-in device. Every
+// refresh rotates the token; rotated-out hashes are kept so that replaying an
+// old token can be detected and the whole family revoked.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  previousTokenHashes: [{
+    type: String
+  }],
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user-revoked', 'reuse-detected', 'password-changed', 'admin']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ tokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB remove sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -2,6 +2,12 @@
 // models/User.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { hashToken } = require('../utils/tokens');
+const { geocodeCity, toPoint } = require('../utils/geocode');
+const { assignSlug } = require('../utils/slug');
+const Notification = require('./Notification');
+const { fileFields, fileSchema } = require('./fileSchema');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -26,6 +32,18 @@ const userSchema = new mongoose.Schema({
     enum: ['user', 'doctor', 'admin'],
     default: 'user'
   },
+  // Profile URL slug generated from the name; previousSlugs keep old links working
+  slug: {
+    type: String,
+    lowercase: true
+  },
+  previousSlugs: {
+    type: [{
+      type: String,
+      lowercase: true
+    }],
+    default: undefined
+  },
   // Doctor-specific fields
   specialty: {
     type: String,
@@ -39,6 +57,22 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: function() { return this.role === 'doctor'; }
   },
+  // Practice location as a GeoJSON point ([longitude, latitude])
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  // 'exact' when the doctor set coordinates, 'city' when geocoded from the city name
+  locationSource: {
+    type: String,
+    enum: ['exact', 'city']
+  },
   rating: {
     type: Number,
     default: 0,
@@ -49,18 +83,174 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Credential review state, public so the directory can badge verified doctors
+  credentialStatus: {
+    type: String,
+    enum: ['none', 'pending', 'approved', 'rejected'],
+    default: 'none'
+  },
+  // Submitted credentials, only visible to the doctor and admins
+  credentials: {
+    type: {
+      licenseNumber: {
+        type: String,
+        trim: true
+      },
+      issuingBody: {
+        type: String,
+        trim: true
+      },
+      documents: [{
+        ...fileFields,
+        originalName: String,
+        uploadedAt: {
+          type: Date,
+          default: Date.now
+        }
+      }],
+      submittedAt: Date,
+      reviewedAt: Date,
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      rejectionReason: {
+        type: String,
+        maxlength: 500
+      }
+    },
+    select: false
+  },
   phone: String,
   address: String,
   bio: String,
-  profileImage: String,
+  profileImage: {
+    type: fileSchema,
+    default: null
+  },
   isVerified: {
     type: Boolean,
     default: false
+  },
+  // Hash of the email verification token
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  verificationEmailSentAt: {
+    type: Date
+  },
+  // New address waiting to be confirmed, with the hash of the token sent to it
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  emailChangeToken: {
+    type: String,
+    select: false
+  },
+  emailChangeExpires: {
+    type: Date,
+    select: false
+  },
+  // Hash of the single-use password reset token
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // Set by an admin to block login until the password is reset by email
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  // Consecutive failed logins since the last success or lock
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  // Login is refused until this time; each lock lasts twice as long as the last
+  lockUntil: {
+    type: Date
+  },
+  lockLevel: {
+    type: Number,
+    default: 0
+  },
+  // Hash of the token in the account-locked email that lifts the lock
+  unlockToken: {
+    type: String,
+    select: false
+  },
+  unlockExpires: {
+    type: Date,
+    select: false
+  },
+  // Notification types the user doesn't want to receive
+  notificationPreferences: {
+    muted: [{
+      type: String,
+      enum: Notification.TYPES
+    }]
+  },
+  isSuspended: {
+    type: Boolean,
+    default: false
+  },
+  suspension: {
+    reason: {
+      type: String,
+      maxlength: 500
+    },
+    suspendedAt: Date,
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
   }
 }, {
   timestamps: true
 });
 
+userSchema.index({ location: '2dsphere' });
+userSchema.index({ slug: 1 }, { unique: true, partialFilterExpression: { slug: { $type: 'string' } } });
+userSchema.index({ previousSlugs: 1 });
+
+// Doctors get a profile slug from their name
+userSchema.methods.updateSlug = function(name = this.name) {
+  return assignSlug(this, name, { fallback: 'doctor' });
+};
+
+userSchema.pre('validate', async function() {
+  if (this.role !== 'doctor') return;
+  if (this.slug && !this.isModified('name')) return;
+  await this.updateSlug();
+});
+
+// Fall back to the city's coordinates when a doctor has no exact location
+userSchema.pre('save', function(next) {
+  const needsLocation = !this.location?.coordinates?.length || this.locationSource === 'city';
+  if (this.role === 'doctor' && this.isModified('city') && !this.isModified('location') && needsLocation) {
+    const coordinates = geocodeCity(this.city);
+    if (coordinates) {
+      this.location = toPoint(coordinates.lat, coordinates.lng);
+      this.locationSource = 'city';
+    }
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -68,6 +258,7 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) this.passwordChangedAt = new Date();
     next();
   } catch (error) {
     next(error);
@@ -79,4 +270,108 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Generate an email verification token, storing only its hash
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  this.verificationEmailSentAt = new Date();
+  return token;
+};
+
+// Generate a token confirming a change to newEmail, storing only its hash
+userSchema.methods.createEmailChangeToken = function(newEmail) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.pendingEmail = newEmail;
+  this.emailChangeToken = hashToken(token);
+  this.emailChangeExpires = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  return token;
+};
+
+// Generate a one hour password reset token, storing only its hash
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000);
+  return token;
+};
+
+// Lock after this many failed logins in a row, for LOCKOUT_BASE_MINUTES
+// doubling with every lock until a successful login, up to 24 hours
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_BASE_MINUTES = parseInt(process.env.LOCKOUT_BASE_MINUTES) || 5;
+const LOCKOUT_MAX_MINUTES = 24 * 60;
+
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Login bookkeeping leaves updatedAt alone: it is the lastmod of a doctor's
+// public profile in the sitemap, which failed logins shouldn't change.
+
+// Count a failed login. Returns the user as updated, with lockUntil set when
+// this failure locked the account.
+userSchema.statics.registerFailedLogin = async function(userId) {
+  const user = await this.findByIdAndUpdate(
+    userId,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, timestamps: false }
+  );
+  if (!user || user.failedLoginAttempts < LOCKOUT_THRESHOLD) return user;
+
+  const minutes = Math.min(LOCKOUT_BASE_MINUTES * 2 ** user.lockLevel, LOCKOUT_MAX_MINUTES);
+
+  // Conditional on the count so concurrent failures lock only once
+  const locked = await this.findOneAndUpdate(
+    { _id: userId, failedLoginAttempts: { $gte: LOCKOUT_THRESHOLD } },
+    {
+      failedLoginAttempts: 0,
+      lockUntil: new Date(Date.now() + minutes * 60 * 1000),
+      $inc: { lockLevel: 1 }
+    },
+    { new: true, timestamps: false }
+  );
+  return locked || user;
+};
+
+// Forget failed logins and lift any lock
+userSchema.statics.clearLoginFailures = function(userId) {
+  return this.updateOne(
+    { _id: userId },
+    {
+      failedLoginAttempts: 0,
+      lockLevel: 0,
+      $unset: { lockUntil: 1, unlockToken: 1, unlockExpires: 1 }
+    },
+    { timestamps: false }
+  );
+};
+
+// Generate a token for the account-locked email, storing only its hash
+userSchema.methods.createUnlockToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.unlockToken = hashToken(token);
+  this.unlockExpires = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  return token;
+};
+
+// Hashes and secrets that no response may contain, not even an admin's
+const SECRET_FIELDS = [
+  'password',
+  'emailVerificationToken', 'emailVerificationExpires',
+  'passwordResetToken', 'passwordResetExpires',
+  'unlockToken', 'unlockExpires',
+  'emailChangeToken', 'emailChangeExpires'
+];
+
+// Account state only the user and admins may see, left out of public profiles
+const ACCOUNT_FIELDS = [
+  'credentials', 'pendingEmail', 'verificationEmailSentAt', 'passwordResetRequired',
+  'failedLoginAttempts', 'lockUntil', 'lockLevel',
+  'isSuspended', 'suspension', 'notificationPreferences'
+];
+
+userSchema.statics.SECRET_FIELDS = SECRET_FIELDS;
+userSchema.statics.PUBLIC_HIDDEN_FIELDS = [...SECRET_FIELDS, ...ACCOUNT_FIELDS];
+
 module.exports = mongoose.model('User', userSchema);
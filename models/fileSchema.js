@@ -0,0 +1,25 @@
+// models/fileSchema.js
+const mongoose = require('mongoose');
+
+// A file kept by one of the storage providers in config/storage.js. The key is
+// what the provider needs to delete the file; url is where it is served from.
+// Private files have no url, links to them are signed on request.
+const fileFields = {
+  provider: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: function() { return !this.private; }
+  },
+  private: Boolean
+};
+
+const fileSchema = new mongoose.Schema(fileFields, { _id: false });
+
+module.exports = { fileFields, fileSchema };
@@ -0,0 +1,471 @@
+// routes/admin.js
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Blog = require('../models/Blog');
+const Comment = require('../models/Comment');
+const BlogRevision = require('../models/BlogRevision');
+const ReadingList = require('../models/ReadingList');
+const Follow = require('../models/Follow');
+const Notification = require('../models/Notification');
+const Contact = require('../models/Contact');
+const Session = require('../models/Session');
+const Review = require('../models/Review');
+const Appointment = require('../models/Appointment');
+const Availability = require('../models/Availability');
+const { auth, adminAuth } = require('../middleware/auth');
+const { deleteFile } = require('../config/storage');
+const { sendMail } = require('../config/mail');
+const { forcedPasswordResetEmail } = require('../utils/emails');
+const { containsPattern } = require('../utils/regex');
+const { retrySlugConflicts } = require('../utils/slug');
+const relatedBlogs = require('../services/relatedBlogs');
+const audit = require('../services/audit');
+
+// Fields kept in audit log snapshots of a user
+const auditFields = [
+  'name', 'email', 'role', 'isSuspended', 'suspension', 'passwordResetRequired', 'credentialStatus',
+  'failedLoginAttempts', 'lockUntil', 'lockLevel'
+];
+
+const router = express.Router();
+
+// Every route in this file is admin only
+router.use(auth, adminAuth);
+
+// Audit log queries and CSV export
+router.use('/audit-logs', require('./auditLogs'));
+
+const privateFields = User.SECRET_FIELDS.map(field => `-${field}`).join(' ');
+
+// Whether removing admin rights from this user would leave no active admin
+const isLastAdmin = async (user) => {
+  if (user.role !== 'admin' || user.isSuspended) return false;
+
+  const otherAdmins = await User.countDocuments({
+    role: 'admin',
+    isSuspended: { $ne: true },
+    _id: { $ne: user._id }
+  });
+  return otherAdmins === 0;
+};
+
+// List and search users
+router.get('/users', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('role').optional().isIn(['user', 'doctor', 'admin']).withMessage('Invalid role'),
+  query('verified').optional().isIn(['true', 'false']).withMessage('Verified must be true or false'),
+  query('suspended').optional().isIn(['true', 'false']).withMessage('Suspended must be true or false'),
+  query('createdFrom').optional().isISO8601().withMessage('createdFrom must be a valid date'),
+  query('createdTo').optional().isISO8601().withMessage('createdTo must be a valid date'),
+  query('search').optional().isString().isLength({ max: 100 }).withMessage('Search must be at most 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.role) filter.role = req.query.role;
+    if (req.query.verified) filter.isVerified = req.query.verified === 'true';
+    if (req.query.suspended) filter.isSuspended = req.query.suspended === 'true' ? true : { $ne: true };
+    if (req.query.createdFrom || req.query.createdTo) {
+      filter.createdAt = {};
+      if (req.query.createdFrom) filter.createdAt.$gte = new Date(req.query.createdFrom);
+      if (req.query.createdTo) filter.createdAt.$lte = new Date(req.query.createdTo);
+    }
+    if (req.query.search) {
+      filter.$or = [
+        { name: containsPattern(req.query.search) },
+        { email: containsPattern(req.query.search) }
+      ];
+    }
+
+    const users = await User.find(filter)
+      .select(privateFields)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await User.countDocuments(filter);
+
+    res.json({
+      users,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Admin get users error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a user with a summary of their activity
+router.get('/users/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select(privateFields)
+      .populate('suspension.suspendedBy', 'name email');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const userId = user._id;
+
+    const [
+      blogs,
+      commentStats,
+      likes,
+      reviewsWritten,
+      appointmentsAsPatient,
+      appointmentsAsDoctor,
+      contactMessages,
+      sessions,
+      recentBlogs
+    ] = await Promise.all([
+      Blog.countDocuments({ author: userId }),
+      Comment.aggregate([
+        { $match: { author: new mongoose.Types.ObjectId(userId) } },
+        { $group: { _id: null, count: { $sum: 1 }, lastCommentAt: { $max: '$createdAt' } } }
+      ]),
+      Blog.countDocuments({ 'likes.user': userId }),
+      Review.countDocuments({ patient: userId }),
+      Appointment.countDocuments({ patient: userId }),
+      Appointment.countDocuments({ doctor: userId }),
+      Contact.countDocuments({ userId }),
+      Session.find({ user: userId }).sort({ lastUsedAt: -1 }).limit(10),
+      Blog.find({ author: userId }).select('title status isApproved createdAt').sort({ createdAt: -1 }).limit(5)
+    ]);
+
+    res.json({
+      user,
+      activity: {
+        blogs,
+        comments: commentStats[0]?.count || 0,
+        lastCommentAt: commentStats[0]?.lastCommentAt || null,
+        likes,
+        reviewsWritten,
+        appointmentsAsPatient,
+        appointmentsAsDoctor,
+        contactMessages,
+        lastActiveAt: sessions[0]?.lastUsedAt || null,
+        recentBlogs,
+        recentSessions: sessions.map(session => ({
+          id: session._id,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          revokedAt: session.revokedAt,
+          revokedReason: session.revokedReason
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Change a user's role
+router.put('/users/:id/role', [
+  body('role').isIn(['user', 'doctor', 'admin']).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { role } = req.body;
+    if (user.role === role) {
+      return res.status(400).json({ message: `User is already ${role === 'admin' ? 'an' : 'a'} ${role}` });
+    }
+
+    if (await isLastAdmin(user)) {
+      return res.status(400).json({ message: 'Cannot demote the last admin' });
+    }
+
+    // Doctors need their professional details, which only they can provide
+    if (role === 'doctor' && (!user.specialty || user.experience == null || !user.city)) {
+      return res.status(400).json({ message: 'Specialty, experience, and city are required before a user can become a doctor' });
+    }
+
+    const before = audit.snapshot(user, auditFields);
+    user.role = role;
+    // Becoming a doctor gives the user a profile slug
+    await retrySlugConflicts(user, () => user.save());
+
+    await audit.record(req, {
+      action: 'user.role-change',
+      targetType: 'user',
+      targetId: user._id,
+      before,
+      after: audit.snapshot(user, auditFields)
+    });
+
+    res.json({
+      message: 'Role updated successfully',
+      user: { id: user._id, name: user.name, email: user.email, role: user.role }
+    });
+  } catch (error) {
+    console.error('Admin change role error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Suspend an account and sign it out everywhere
+router.post('/users/:id/suspend', [
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Suspension reason is required and must be less than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.isSuspended) {
+      return res.status(400).json({ message: 'User is already suspended' });
+    }
+
+    if (await isLastAdmin(user)) {
+      return res.status(400).json({ message: 'Cannot suspend the last admin' });
+    }
+
+    const before = audit.snapshot(user, auditFields);
+    user.isSuspended = true;
+    user.suspension = {
+      reason: req.body.reason,
+      suspendedAt: new Date(),
+      suspendedBy: req.user._id
+    };
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'admin');
+
+    await audit.record(req, {
+      action: 'user.suspend',
+      targetType: 'user',
+      targetId: user._id,
+      before,
+      after: audit.snapshot(user, auditFields)
+    });
+
+    res.json({ message: 'User suspended successfully' });
+  } catch (error) {
+    console.error('Admin suspend user error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reactivate a suspended account
+router.post('/users/:id/reactivate', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.isSuspended) {
+      return res.status(400).json({ message: 'User is not suspended' });
+    }
+
+    const before = audit.snapshot(user, auditFields);
+    user.isSuspended = false;
+    user.suspension = undefined;
+    await user.save();
+
+    await audit.record(req, {
+      action: 'user.reactivate',
+      targetType: 'user',
+      targetId: user._id,
+      before,
+      after: audit.snapshot(user, auditFields)
+    });
+
+    res.json({ message: 'User reactivated successfully' });
+  } catch (error) {
+    console.error('Admin reactivate user error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Lift a login lock and forget the user's failed attempts
+router.post('/users/:id/unlock', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.isLocked() && !user.failedLoginAttempts && !user.lockLevel) {
+      return res.status(400).json({ message: 'User is not locked' });
+    }
+
+    const before = audit.snapshot(user, auditFields);
+    await User.clearLoginFailures(user._id);
+
+    await audit.record(req, {
+      action: 'user.unlock',
+      targetType: 'user',
+      targetId: user._id,
+      before,
+      after: { failedLoginAttempts: 0, lockLevel: 0 }
+    });
+
+    res.json({ message: 'User unlocked successfully' });
+  } catch (error) {
+    console.error('Admin unlock user error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Force a password reset: sign the user out, block login and email a reset link
+router.post('/users/:id/force-password-reset', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const before = audit.snapshot(user, auditFields);
+    const resetToken = user.createPasswordResetToken();
+    user.passwordResetRequired = true;
+    await user.save();
+
+    await audit.record(req, {
+      action: 'user.force-password-reset',
+      targetType: 'user',
+      targetId: user._id,
+      before,
+      after: audit.snapshot(user, auditFields)
+    });
+
+    await Session.revokeAllForUser(user._id, 'admin');
+    await sendMail(forcedPasswordResetEmail(user, resetToken));
+
+    res.json({ message: 'Password reset required and email sent' });
+  } catch (error) {
+    console.error('Admin force password reset error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete an account and the content that only makes sense with it
+router.delete('/users/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('+credentials');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (await isLastAdmin(user)) {
+      return res.status(400).json({ message: 'Cannot delete the last admin' });
+    }
+
+    const userId = user._id;
+
+    // Blogs written by the user, including their featured images
+    const blogs = await Blog.find({ author: userId }).select('featuredImage');
+    for (const blog of blogs) {
+      await deleteFile(blog.featuredImage);
+    }
+    await BlogRevision.deleteMany({ blog: { $in: blogs.map(blog => blog._id) } });
+    await ReadingList.removeBlogs(blogs.map(blog => blog._id));
+    await Blog.deleteMany({ author: userId });
+    relatedBlogs.invalidate();
+
+    // Their likes on other blogs
+    await Blog.updateMany({ 'likes.user': userId }, { $pull: { likes: { user: userId } } }, { timestamps: false });
+
+    // Comments on their own blogs go with them; elsewhere they become placeholders
+    // so replies from other people keep their thread
+    await Comment.deleteMany({ blog: { $in: blogs.map(blog => blog._id) } });
+    const commentedBlogs = await Comment.distinct('blog', { author: userId, isDeleted: false });
+    await Comment.updateMany(
+      { author: userId, isDeleted: false },
+      { isDeleted: true, deletedAt: new Date(), deletedBy: req.user._id, isPinned: false }
+    );
+    for (const blogId of commentedBlogs) {
+      await Comment.refreshCount(blogId);
+    }
+
+    // Reviews they wrote, keeping the reviewed doctors' ratings in sync
+    const reviewedDoctors = await Review.distinct('doctor', { patient: userId });
+    await Review.deleteMany({ $or: [{ patient: userId }, { doctor: userId }] });
+    for (const doctorId of reviewedDoctors) {
+      await Review.updateDoctorRating(doctorId);
+    }
+
+    await Appointment.deleteMany({ $or: [{ patient: userId }, { doctor: userId }] });
+    await Availability.deleteOne({ doctor: userId });
+    await ReadingList.deleteMany({ user: userId });
+    await Follow.deleteMany({ $or: [{ follower: userId }, { doctor: userId }] });
+    await Notification.deleteMany({ recipient: userId });
+    await Session.deleteMany({ user: userId });
+    await User.deleteOne({ _id: userId });
+    await deleteFile(user.profileImage);
+    for (const document of user.credentials?.documents || []) {
+      await deleteFile(document);
+    }
+
+    await audit.record(req, {
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: userId,
+      before: audit.snapshot(user, auditFields),
+      metadata: { blogsDeleted: blogs.length }
+    });
+
+    res.json({ message: 'User deleted successfully' });
+  } catch (error) {
+    console.error('Admin delete user error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
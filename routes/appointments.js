@@ -0,0 +1,384 @@
+// routes/appointments.js
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Appointment = require('../models/Appointment');
+const Availability = require('../models/Availability');
+const User = require('../models/User');
+const { auth, doctorAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Shared query validation for the agenda endpoints
+const agendaValidation = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  query('status').optional().isIn(['booked', 'cancelled', 'completed', 'no-show']).withMessage('Invalid status')
+];
+
+// Build the date/status filter shared by the agenda endpoints
+const buildAgendaFilter = (req) => {
+  const filter = {};
+
+  if (req.query.status) filter.status = req.query.status;
+  if (req.query.from || req.query.to) {
+    filter.startTime = {};
+    if (req.query.from) filter.startTime.$gte = new Date(req.query.from);
+    if (req.query.to) filter.startTime.$lt = new Date(req.query.to);
+  }
+
+  return filter;
+};
+
+// Run a paginated agenda query
+const sendAgenda = async (req, res, filter, populate, select = '') => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const appointments = await Appointment.find(filter)
+    .select(select)
+    .populate(populate, 'name email phone specialty city')
+    .sort({ startTime: 1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Appointment.countDocuments(filter);
+
+  res.json({
+    appointments,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    }
+  });
+};
+
+// Whether the current user is the patient, the doctor or an admin
+const canAccess = (appointment, user) => {
+  const userId = user._id.toString();
+  return user.role === 'admin' ||
+    appointment.patient.toString() === userId ||
+    appointment.doctor.toString() === userId;
+};
+
+// Notes are for the doctor who wrote them (and admins), not the patient
+const canSeeNotes = (appointment, user) =>
+  user.role === 'admin' || appointment.doctor.toString() === user._id.toString();
+
+// Find the free slot starting exactly at startTime, if any
+const findFreeSlot = async (doctorId, startTime) => {
+  const slots = await Availability.findFreeSlots(doctorId, startTime, new Date(startTime.getTime() + 1));
+  return slots.find(slot => slot.startTime.getTime() === startTime.getTime());
+};
+
+// Whether the patient already has a booking overlapping the slot
+const patientIsBusy = (patientId, slot, excludeId) => {
+  const filter = {
+    patient: patientId,
+    status: 'booked',
+    startTime: { $lt: slot.endTime },
+    endTime: { $gt: slot.startTime }
+  };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  return Appointment.exists(filter);
+};
+
+// BOOK - Book an appointment with a doctor
+router.post('/', auth, [
+  body('doctorId').isMongoId().withMessage('Invalid doctor ID'),
+  body('startTime').isISO8601().withMessage('Start time must be a valid date'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { doctorId, reason } = req.body;
+    const startTime = new Date(req.body.startTime);
+
+    if (doctorId === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot book an appointment with yourself' });
+    }
+
+    if (startTime <= new Date()) {
+      return res.status(400).json({ message: 'Appointments must be booked in the future' });
+    }
+
+    const doctor = await User.exists({ _id: doctorId, role: 'doctor' });
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    const slot = await findFreeSlot(doctorId, startTime);
+    if (!slot) {
+      return res.status(409).json({ message: 'This slot is not available' });
+    }
+
+    if (await patientIsBusy(req.user._id, slot)) {
+      return res.status(409).json({ message: 'You already have an appointment at this time' });
+    }
+
+    const appointment = new Appointment({
+      doctor: doctorId,
+      patient: req.user._id,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      reason
+    });
+
+    await appointment.save();
+    await appointment.populate('doctor', 'name email phone specialty city');
+
+    res.status(201).json({
+      message: 'Appointment booked successfully',
+      appointment
+    });
+  } catch (error) {
+    console.error('Book appointment error:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'This slot has just been booked' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Patient agenda - appointments booked by the current user
+router.get('/my', auth, agendaValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = { ...buildAgendaFilter(req), patient: req.user._id };
+    await sendAgenda(req, res, filter, 'doctor');
+  } catch (error) {
+    console.error('Get my appointments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Doctor agenda - appointments booked with the current doctor (admins may pass ?doctor=)
+router.get('/agenda', auth, doctorAuth, [
+  ...agendaValidation,
+  query('doctor').optional().isMongoId().withMessage('Invalid doctor ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const doctorId = req.user.role === 'admin' && req.query.doctor ? req.query.doctor : req.user._id;
+    const filter = { ...buildAgendaFilter(req), doctor: doctorId };
+    await sendAgenda(req, res, filter, 'patient', '+notes');
+  } catch (error) {
+    console.error('Get doctor agenda error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a single appointment
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id).select('+notes');
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+
+    if (!canAccess(appointment, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!canSeeNotes(appointment, req.user)) {
+      appointment.notes = undefined;
+    }
+
+    await appointment.populate([
+      { path: 'doctor', select: 'name email phone specialty city' },
+      { path: 'patient', select: 'name email phone' },
+      { path: 'cancelledBy', select: 'name role' }
+    ]);
+
+    res.json(appointment);
+  } catch (error) {
+    console.error('Get appointment error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid appointment ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// RESCHEDULE - Move a booked appointment to another free slot
+router.post('/:id/reschedule', auth, [
+  body('startTime').isISO8601().withMessage('Start time must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const appointment = await Appointment.findById(req.params.id);
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+
+    if (!canAccess(appointment, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (appointment.status !== 'booked') {
+      return res.status(400).json({ message: 'Only booked appointments can be rescheduled' });
+    }
+
+    const startTime = new Date(req.body.startTime);
+    if (startTime <= new Date()) {
+      return res.status(400).json({ message: 'Appointments must be booked in the future' });
+    }
+
+    const slot = await findFreeSlot(appointment.doctor, startTime);
+    if (!slot) {
+      return res.status(409).json({ message: 'This slot is not available' });
+    }
+
+    if (await patientIsBusy(appointment.patient, slot, appointment._id)) {
+      return res.status(409).json({ message: 'The patient already has an appointment at this time' });
+    }
+
+    // Only move the appointment if nobody changed it in the meantime
+    const updated = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, status: 'booked', startTime: appointment.startTime },
+      {
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        rescheduledFrom: appointment.startTime
+      },
+      { new: true }
+    ).populate('doctor', 'name email phone specialty city');
+
+    if (!updated) {
+      return res.status(409).json({ message: 'The appointment was modified, please try again' });
+    }
+
+    res.json({
+      message: 'Appointment rescheduled successfully',
+      appointment: updated
+    });
+  } catch (error) {
+    console.error('Reschedule appointment error:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'This slot has just been booked' });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid appointment ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// CANCEL - Cancel a booked appointment (patient, doctor or admin)
+router.post('/:id/cancel', auth, [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const appointment = await Appointment.findById(req.params.id);
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+
+    if (!canAccess(appointment, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const updated = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, status: 'booked' },
+      {
+        status: 'cancelled',
+        cancelledBy: req.user._id,
+        cancelledAt: new Date(),
+        cancellationReason: req.body.reason
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(400).json({ message: 'Only booked appointments can be cancelled' });
+    }
+
+    res.json({
+      message: 'Appointment cancelled successfully',
+      appointment: updated
+    });
+  } catch (error) {
+    console.error('Cancel appointment error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid appointment ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// COMPLETE - Doctor marks an appointment as completed or no-show
+router.post('/:id/complete', auth, doctorAuth, [
+  body('status').optional().isIn(['completed', 'no-show']).withMessage('Status must be completed or no-show'),
+  body('notes').optional().trim().isLength({ max: 2000 }).withMessage('Notes must be less than 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const appointment = await Appointment.findById(req.params.id);
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+
+    const isDoctor = appointment.doctor.toString() === req.user._id.toString();
+    if (!isDoctor && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (appointment.status !== 'booked') {
+      return res.status(400).json({ message: 'Only booked appointments can be completed' });
+    }
+
+    if (appointment.startTime > new Date()) {
+      return res.status(400).json({ message: 'This appointment has not started yet' });
+    }
+
+    appointment.status = req.body.status || 'completed';
+    appointment.completedAt = new Date();
+    if (req.body.notes !== undefined) appointment.notes = req.body.notes;
+
+    await appointment.save();
+
+    res.json({
+      message: 'Appointment updated successfully',
+      appointment
+    });
+  } catch (error) {
+    console.error('Complete appointment error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid appointment ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
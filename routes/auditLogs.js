@@ -0,0 +1,136 @@
+// routes/auditLogs.js
+// Mounted at /api/admin/audit-logs behind the admin router's auth
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const { escapeRegExp } = require('../utils/regex');
+const { csvRow } = require('../utils/csv');
+
+const router = express.Router();
+
+const EXPORT_LIMIT = 100000;
+
+const filterValidation = [
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('action').optional().isString().isLength({ max: 100 }).withMessage('Invalid action'),
+  query('targetType').optional().isIn(AuditLog.schema.path('targetType').enumValues).withMessage('Invalid target type'),
+  query('targetId').optional().isMongoId().withMessage('Invalid target ID'),
+  query('ip').optional().isIP().withMessage('Invalid IP address'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+];
+
+// "blog.*" matches every blog action, anything else matches exactly
+const buildFilter = (params) => {
+  const filter = {};
+  if (params.actor) filter.actor = params.actor;
+  if (params.action) {
+    filter.action = params.action.endsWith('.*')
+      ? new RegExp(`^${escapeRegExp(params.action.slice(0, -1))}`)
+      : params.action;
+  }
+  if (params.targetType) filter.targetType = params.targetType;
+  if (params.targetId) filter.targetId = params.targetId;
+  if (params.ip) filter.ip = params.ip;
+  if (params.from || params.to) {
+    filter.createdAt = {};
+    if (params.from) filter.createdAt.$gte = new Date(params.from);
+    if (params.to) filter.createdAt.$lte = new Date(params.to);
+  }
+  return filter;
+};
+
+// Query the audit log, newest first
+router.get('/', [
+  ...filterValidation,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+    const filter = buildFilter(req.query);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'name email role')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      entries,
+      retentionDays: AuditLog.RETENTION_DAYS,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// CSV lines for the entries a cursor yields, header first
+async function* csvLines(cursor) {
+  yield csvRow([
+    'createdAt', 'action', 'actorId', 'actorEmail', 'actorRole', 'targetType', 'targetId',
+    'ip', 'userAgent', 'before', 'after', 'metadata'
+  ]);
+  for await (const entry of cursor) {
+    yield csvRow([
+      entry.createdAt, entry.action, entry.actor?.toString(), entry.actorEmail, entry.actorRole,
+      entry.targetType, entry.targetId?.toString(), entry.ip, entry.userAgent,
+      entry.before, entry.after, entry.metadata
+    ]);
+  }
+}
+
+// Export matching entries as CSV, streamed so large exports stay out of memory
+router.get('/export', filterValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const cursor = AuditLog.find(buildFilter(req.query))
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(EXPORT_LIMIT)
+    .lean()
+    .cursor();
+
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`
+  });
+
+  try {
+    // pipeline respects backpressure from slow clients and stops reading when
+    // the client goes away
+    await pipeline(Readable.from(csvLines(cursor)), res);
+  } catch (error) {
+    // Headers are gone, so all that can be done is cut the download short
+    if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('Export audit log error:', error);
+    }
+    res.destroy();
+  } finally {
+    await cursor.close().catch(error => console.error('Close audit log cursor error:', error));
+  }
+});
+
+module.exports = router;
@@ -1,18 +1,38 @@
 // routes/auth.js
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { auth } = require('../middleware/auth');
+const { rateLimit, resetRateLimit } = require('../middleware/rateLimit');
+const { createSession, rotateRefreshToken, hashToken } = require('../utils/tokens');
+const { toPoint } = require('../utils/geocode');
+const { retrySlugConflicts } = require('../utils/slug');
+const { sendMail } = require('../config/mail');
+const {
+  verificationEmail,
+  passwordResetEmail,
+  passwordChangedEmail,
+  accountLockedEmail,
+  emailChangeEmail,
+  emailChangeRequestedEmail
+} = require('../utils/emails');
+const { uploadProfileImage, storeUpload, profileImages } = require('../config/uploads');
+const { deleteFile } = require('../config/storage');
+const audit = require('../services/audit');
+
+const RESEND_VERIFICATION_INTERVAL = 60 * 1000;
 
 const router = express.Router();
 
 // Register
-router.post('/register', [
+router.post('/register', rateLimit('register'), [
   body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   body('email').isEmail().withMessage('Please provide a valid email'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('role').isIn(['user', 'doctor']).withMessage('Invalid role')
+  body('role').isIn(['user', 'doctor']).withMessage('Invalid role'),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -20,7 +40,7 @@ router.post('/register', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, email, password, role, specialty, experience, city } = req.body;
+    const { name, email, password, role, specialty, experience, city, latitude, longitude } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -39,27 +59,43 @@ router.post('/register', [
       userData.specialty = specialty;
       userData.experience = experience;
       userData.city = city;
-      userData.rating = 4.5; // Default rating
-      userData.reviews = Math.floor(Math.random() * 100) + 10; // Random reviews for demo
+
+      // Without exact coordinates the location is geocoded from the city on save
+      if (latitude !== undefined && longitude !== undefined) {
+        userData.location = toPoint(latitude, longitude);
+        userData.locationSource = 'exact';
+      }
     }
 
     const user = new User(userData);
-    await user.save();
+    const verificationToken = user.createEmailVerificationToken();
+    await retrySlugConflicts(user, () => user.save());
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
+    // Registration still succeeds if the email can't be sent; the user can resend it
+    sendMail(verificationEmail(user, verificationToken)).catch(error => {
+      console.error('Verification email error:', error);
+    });
+
+    // Start a session and issue the first token pair
+    const { token, refreshToken, session } = await createSession(user, req);
+
+    await audit.record(req, {
+      actor: user,
+      action: 'auth.register',
+      targetType: 'user',
+      targetId: user._id,
+      metadata: { sessionId: session._id }
+    });
 
     res.status(201).json({
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        isVerified: user.isVerified
       }
     });
   } catch (error) {
@@ -68,8 +104,19 @@ router.post('/register', [
   }
 });
 
+// 423 with Retry-After until the lock on the account ends
+const lockedResponse = (res, user) => {
+  const retryAfter = Math.max(1, Math.ceil((user.lockUntil - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    message: 'Too many failed login attempts. Your account is temporarily locked, check your email to unlock it or try again later.',
+    lockUntil: user.lockUntil,
+    retryAfter
+  });
+};
+
 // Login
-router.post('/login', [
+router.post('/login', rateLimit('login'), rateLimit('loginAccount'), [
   body('email').isEmail().withMessage('Please provide a valid email'),
   body('password').exists().withMessage('Password is required')
 ], async (req, res) => {
@@ -84,29 +131,90 @@ router.post('/login', [
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
+      await audit.record(req, {
+        action: 'auth.login-failed',
+        metadata: { email, reason: 'unknown-email' }
+      });
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
+    // Failed and blocked attempts have no actor, nobody proved who they are
+    const recordFailure = (reason) => audit.record(req, {
+      actor: null,
+      action: 'auth.login-failed',
+      targetType: 'user',
+      targetId: user._id,
+      metadata: { email, reason }
+    });
+
+    // The password isn't even checked while the account is locked
+    if (user.isLocked()) {
+      await recordFailure('locked');
+      return lockedResponse(res, user);
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordFailure('wrong-password');
+
+      const updated = await User.registerFailedLogin(user._id);
+      if (updated?.isLocked()) {
+        const unlockToken = updated.createUnlockToken();
+        await updated.save({ timestamps: false });
+
+        await audit.record(req, {
+          actor: null,
+          action: 'auth.account-locked',
+          targetType: 'user',
+          targetId: user._id,
+          metadata: { lockUntil: updated.lockUntil, lockLevel: updated.lockLevel }
+        });
+
+        sendMail(accountLockedEmail(updated, unlockToken)).catch(error => {
+          console.error('Account locked email error:', error);
+        });
+
+        return lockedResponse(res, updated);
+      }
+
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
+    if (user.failedLoginAttempts || user.lockLevel || user.lockUntil) {
+      await User.clearLoginFailures(user._id);
+    }
+    await resetRateLimit('loginAccount', req);
+
+    if (user.isSuspended) {
+      await recordFailure('suspended');
+      return res.status(403).json({ message: 'Your account has been suspended' });
+    }
+
+    if (user.passwordResetRequired) {
+      await recordFailure('password-reset-required');
+      return res.status(403).json({ message: 'A password reset is required. Please check your email for the reset link.' });
+    }
+
+    // Start a session and issue the first token pair
+    const { token, refreshToken, session } = await createSession(user, req);
+
+    await audit.record(req, {
+      actor: user,
+      action: 'auth.login',
+      targetType: 'session',
+      targetId: session._id
+    });
 
     res.json({
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        isVerified: user.isVerified
       }
     });
   } catch (error) {
@@ -115,14 +223,54 @@ router.post('/login', [
   }
 });
 
-// Logout
+// Refresh - exchange a refresh token for a new token pair
+router.post('/refresh', rateLimit('refresh'), [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await rotateRefreshToken(req.body.refreshToken, req);
+    if (result?.reuseDetected) {
+      await audit.record(req, {
+        actor: null,
+        action: 'auth.refresh-token-reuse',
+        targetType: 'session',
+        targetId: result.session._id,
+        metadata: { userId: result.session.user }
+      });
+    }
+    if (!result || result.reuseDetected) {
+      return res.status(401).json({ message: 'Refresh token is not valid' });
+    }
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Logout - revoke the current session
 router.post('/logout', auth, async (req, res) => {
   try {
-    // Optional: Log the logout activity
-    console.log(`User ${req.user.name} (${req.user.email}) logged out at ${new Date().toISOString()}`);
-    
-    // Since we're using JWT (stateless), the actual logout happens on the client side
-    // by removing the token from localStorage. This endpoint confirms the logout.
+    await Session.updateOne(
+      { _id: req.sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'logout' }
+    );
+
+    await audit.record(req, {
+      action: 'auth.logout',
+      targetType: 'session',
+      targetId: req.sessionId
+    });
+
     res.json({ 
       message: 'Logged out successfully',
       timestamp: new Date().toISOString()
@@ -133,17 +281,535 @@ router.post('/logout', auth, async (req, res) => {
   }
 });
 
+// List the current user's active sessions (one per signed-in device)
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map(session => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.equals(req.sessionId)
+    })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke one of the current user's sessions
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'user-revoked' }
+    );
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await audit.record(req, {
+      action: 'auth.session-revoke',
+      targetType: 'session',
+      targetId: session._id
+    });
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid session ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Verify email address with the token from the verification email
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationToken: hashToken(req.body.token),
+        emailVerificationExpires: { $gt: new Date() }
+      },
+      {
+        isVerified: true,
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    await audit.record(req, {
+      actor: user,
+      action: 'auth.email-verified',
+      targetType: 'user',
+      targetId: user._id
+    });
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Resend the verification email (at most once a minute)
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    if (req.user.isVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    const elapsed = Date.now() - (req.user.verificationEmailSentAt?.getTime() || 0);
+    if (elapsed < RESEND_VERIFICATION_INTERVAL) {
+      const retryAfter = Math.ceil((RESEND_VERIFICATION_INTERVAL - elapsed) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message: `Please wait ${retryAfter} seconds before requesting another email` });
+    }
+
+    const user = await User.findById(req.user._id);
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ timestamps: false });
+
+    await sendMail(verificationEmail(user, verificationToken));
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Forgot password - email a single-use reset link
+router.post('/forgot-password', rateLimit('passwordReset'), [
+  body('email').isEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+    // Only the hash is stored, the plain token only exists in the email
+    if (user) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save({ timestamps: false });
+
+      await audit.record(req, {
+        actor: null,
+        action: 'auth.password-reset-requested',
+        targetType: 'user',
+        targetId: user._id
+      });
+
+      await sendMail(passwordResetEmail(user, resetToken));
+    }
+
+    // Same answer either way so the endpoint can't be used to find accounts
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reset password with the token from the email
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Clear the token in the same operation that finds it so it can only be
+    // used once. Proving access to the email also lifts a login lock.
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: hashToken(req.body.token),
+        passwordResetExpires: { $gt: new Date() }
+      },
+      {
+        failedLoginAttempts: 0,
+        lockLevel: 0,
+        $unset: {
+          passwordResetToken: 1,
+          passwordResetExpires: 1,
+          lockUntil: 1,
+          unlockToken: 1,
+          unlockExpires: 1
+        }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = req.body.password;
+    user.passwordResetRequired = false;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'password-changed');
+
+    await audit.record(req, {
+      actor: user,
+      action: 'auth.password-reset',
+      targetType: 'user',
+      targetId: user._id
+    });
+
+    res.json({ message: 'Password reset successfully, please log in again' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unlock an account with the token from the account-locked email
+router.post('/unlock', rateLimit('unlock'), [
+  body('token').isString().notEmpty().withMessage('Unlock token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOneAndUpdate(
+      {
+        unlockToken: hashToken(req.body.token),
+        unlockExpires: { $gt: new Date() }
+      },
+      {
+        failedLoginAttempts: 0,
+        lockLevel: 0,
+        $unset: { lockUntil: 1, unlockToken: 1, unlockExpires: 1 }
+      },
+      { new: true, timestamps: false }
+    );
+
+    if (!user) {
+      return res.status(400).json({ message: 'Unlock link is invalid or has expired' });
+    }
+
+    await audit.record(req, {
+      actor: user,
+      action: 'auth.account-unlocked',
+      targetType: 'user',
+      targetId: user._id
+    });
+
+    res.json({ message: 'Account unlocked, you can log in again' });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Change password - requires the current one and signs out other sessions
+router.put('/change-password', auth, [
+  body('currentPassword').exists().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    const isMatch = await user.comparePassword(req.body.currentPassword);
+    if (!isMatch) {
+      await audit.record(req, {
+        action: 'auth.password-change-failed',
+        targetType: 'user',
+        targetId: user._id
+      });
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    user.password = req.body.newPassword;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'password-changed', req.sessionId);
+
+    await audit.record(req, {
+      action: 'auth.password-change',
+      targetType: 'user',
+      targetId: user._id
+    });
+
+    sendMail(passwordChangedEmail(user)).catch(error => {
+      console.error('Password changed email error:', error);
+    });
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// The signed-in user's own profile, without login and lockout bookkeeping
+const profileResponse = (user) => {
+  const {
+    _id, __v, password, previousSlugs, verificationEmailSentAt,
+    failedLoginAttempts, lockUntil, lockLevel,
+    ...profile
+  } = user.toObject();
+  return { id: _id, ...profile };
+};
+
+// 400 listing the fields a save rejected, shaped like express-validator's errors
+const validationErrorResponse = (res, error) => res.status(400).json({
+  errors: Object.values(error.errors).map(({ path, message }) => ({ path, msg: message }))
+});
+
 // Get user profile
 router.get('/profile', auth, async (req, res) => {
   try {
+    res.json(profileResponse(req.user));
+  } catch (error) {
+    console.error('Profile error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update the fields every user has; doctors edit the rest through /api/doctors/profile
+router.put('/profile', auth, [
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('phone').optional().trim().matches(/^[+\d\s().-]{0,30}$/).withMessage('Please provide a valid phone number'),
+  body('bio').optional().trim().isLength({ max: 1000 }).withMessage('Bio must be at most 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    ['name', 'phone', 'bio'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        req.user[field] = req.body[field];
+      }
+    });
+
+    // A doctor's new name also gets a new slug on save
+    await retrySlugConflicts(req.user, () => req.user.save());
+
     res.json({
-      id: req.user._id,
-      name: req.user.name,
-      email: req.user.email,
-      role: req.user.role
+      message: 'Profile updated successfully',
+      user: profileResponse(req.user)
     });
   } catch (error) {
-    console.error('Profile error:', error);
+    console.error('Update profile error:', error);
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Upload or replace the profile photo
+router.put('/profile/photo', auth, uploadProfileImage.single('photo'), async (req, res) => {
+  let photo = null;
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Please choose a photo to upload' });
+    }
+
+    photo = await storeUpload(req.file, profileImages);
+
+    const previous = req.user.profileImage?.toObject();
+    req.user.profileImage = photo;
+    await req.user.save();
+    photo = null;
+
+    await deleteFile(previous);
+
+    res.json({
+      message: 'Profile photo updated',
+      profileImage: req.user.profileImage
+    });
+  } catch (error) {
+    console.error('Upload profile photo error:', error);
+    await deleteFile(photo);
+    if (error.code === 'INVALID_FILE_TYPE') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove the profile photo
+router.delete('/profile/photo', auth, async (req, res) => {
+  try {
+    if (!req.user.profileImage) {
+      return res.status(400).json({ message: 'You have no profile photo' });
+    }
+
+    const previous = req.user.profileImage.toObject();
+    req.user.profileImage = null;
+    await req.user.save();
+
+    await deleteFile(previous);
+
+    res.json({ message: 'Profile photo removed' });
+  } catch (error) {
+    console.error('Remove profile photo error:', error);
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Start changing the email address. The account keeps the current address
+// until the link sent to the new one is opened.
+router.put('/change-email', auth, rateLimit('emailChange'), [
+  body('email').isEmail().withMessage('Please provide a valid email'),
+  body('password').exists().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const newEmail = req.body.email.trim().toLowerCase();
+    const user = await User.findById(req.user._id);
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({ message: 'This is already your email address' });
+    }
+
+    if (await User.exists({ email: newEmail })) {
+      return res.status(400).json({ message: 'User already exists with this email' });
+    }
+
+    const token = user.createEmailChangeToken(newEmail);
+    await user.save({ timestamps: false });
+
+    await audit.record(req, {
+      action: 'auth.email-change-requested',
+      targetType: 'user',
+      targetId: user._id,
+      metadata: { from: user.email, to: newEmail }
+    });
+
+    await sendMail(emailChangeEmail(user, newEmail, token));
+    sendMail(emailChangeRequestedEmail(user, newEmail)).catch(error => {
+      console.error('Email change notice error:', error);
+    });
+
+    res.json({
+      message: 'Check your new email address for a confirmation link',
+      pendingEmail: newEmail
+    });
+  } catch (error) {
+    console.error('Change email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Confirm an email change with the token sent to the new address
+router.post('/confirm-email', [
+  body('token').isString().notEmpty().withMessage('Confirmation token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tokenFilter = {
+      emailChangeToken: hashToken(req.body.token),
+      emailChangeExpires: { $gt: new Date() }
+    };
+    const user = await User.findOne(tokenFilter);
+
+    if (!user || !user.pendingEmail) {
+      return res.status(400).json({ message: 'Confirmation link is invalid or has expired' });
+    }
+
+    const previousEmail = user.email;
+
+    // Opening the link proves the new address works, so it counts as verified.
+    // Conditional on the token so the link can only be used once
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, ...tokenFilter },
+      {
+        email: user.pendingEmail,
+        isVerified: true,
+        $unset: {
+          pendingEmail: 1,
+          emailChangeToken: 1,
+          emailChangeExpires: 1,
+          emailVerificationToken: 1,
+          emailVerificationExpires: 1
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(400).json({ message: 'Confirmation link is invalid or has expired' });
+    }
+
+    await audit.record(req, {
+      actor: updated,
+      action: 'auth.email-changed',
+      targetType: 'user',
+      targetId: updated._id,
+      before: { email: previousEmail },
+      after: { email: updated.email }
+    });
+
+    res.json({
+      message: 'Email address changed successfully',
+      email: updated.email
+    });
+  } catch (error) {
+    // Someone registered with the address after the change was requested
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'User already exists with this email' });
+    }
+    console.error('Confirm email change error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -1,31 +1,27 @@
 // routes/blogs.js
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body, validationResult, query } = require('express-validator');
 const Blog = require('../models/Blog');
-const User = require('../models/User');
-const { auth } = require('../middleware/auth');
-const { cloudinary, uploadBlogImage } = require('../config/cloudinary');
+const Comment = require('../models/Comment');
+const BlogRevision = require('../models/BlogRevision');
+const ReadingList = require('../models/ReadingList');
+const Follow = require('../models/Follow');
+const commentsRouter = require('./comments');
+const { addComment, commentValidation } = commentsRouter;
+const revisionsRouter = require('./revisions');
+const { auth, optionalAuth, requireVerified } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { uploadBlogImage, storeUpload, blogImages } = require('../config/uploads');
+const { deleteFile } = require('../config/storage');
+const { slugOrIdFilter, redirectHint, retrySlugConflicts } = require('../utils/slug');
+const { clientUrl, blogUrl } = require('../utils/urls');
+const relatedBlogs = require('../services/relatedBlogs');
+const blogFeed = require('../services/blogFeed');
+const { notify } = require('../services/notifications');
+const audit = require('../services/audit');
 
 const router = express.Router();
 
-// Optional auth middleware - sets req.user if token is present but doesn't require it
-const optionalAuth = async (req, res, next) => {
-  const token = req.header('Authorization')?.replace('Bearer ', '') || 
-                req.header('x-auth-token');
-  
-  if (token) {
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.userId).select('-password');
-    } catch (error) {
-      // Token invalid, but continue without user
-      req.user = null;
-    }
-  }
-  next();
-};
-
 // Middleware to check if user is doctor or admin
 const checkDoctorOrAdmin = (req, res, next) => {
   if (req.user.role !== 'doctor' && req.user.role !== 'admin') {
@@ -34,8 +30,55 @@ const checkDoctorOrAdmin = (req, res, next) => {
   next();
 };
 
+// Fields kept in audit log snapshots of a blog
+const auditFields = ['title', 'author', 'status', 'category', 'tags', 'isApproved', 'approvedRevision',
+  'rejectionReason', 'publishAt', 'unpublishAt', 'commentMode', 'revision'];
+
+// Doctors can only publish once an admin has approved their credentials
+const canPublish = (user) => user.role === 'admin' || user.credentialStatus === 'approved';
+
+// Accepts an ISO date, or an empty string / null to clear the value
+const scheduleDateValidator = (field) => body(field).optional({ values: 'null' }).custom(value =>
+  value === '' || !isNaN(Date.parse(value))
+).withMessage(`${field} must be a valid date`);
+
+const parseScheduleDate = (value, current) => {
+  if (value === undefined) return current;
+  if (value === '' || value === null) return null;
+  return new Date(value);
+};
+
+// Work out status and schedule from the request and the current values.
+// Asking to publish with a future publishAt schedules the post instead.
+const resolveSchedule = (body, current = {}) => {
+  const now = new Date();
+  const publishAt = parseScheduleDate(body.publishAt, current.publishAt ?? null);
+  const unpublishAt = parseScheduleDate(body.unpublishAt, current.unpublishAt ?? null);
+  let status = body.status ?? current.status ?? 'draft';
+
+  if (status === 'published' || status === 'scheduled') {
+    if (publishAt && publishAt > now) {
+      status = 'scheduled';
+    } else if (status === 'scheduled') {
+      return { error: 'Scheduled posts need a publishAt date in the future' };
+    } else {
+      status = 'published';
+    }
+  }
+
+  // Only check the expiry when the request touches the schedule of a live post,
+  // so editing an already expired post still works
+  const touchesSchedule = ['status', 'publishAt', 'unpublishAt'].some(field => body[field] !== undefined);
+  const isLive = status === 'published' || status === 'scheduled';
+  if (touchesSchedule && isLive && unpublishAt && unpublishAt <= (publishAt && publishAt > now ? publishAt : now)) {
+    return { error: 'unpublishAt must be after the post goes live' };
+  }
+
+  return { status, publishAt, unpublishAt };
+};
+
 // CREATE - Create a new blog post
-router.post('/', auth, checkDoctorOrAdmin, uploadBlogImage.single('featuredImage'), [
+router.post('/', auth, requireVerified, checkDoctorOrAdmin, uploadBlogImage.single('featuredImage'), [
   body('title').trim().isLength({ min: 5, max: 200 }).withMessage('Title must be between 5 and 200 characters'),
   body('content').trim().isLength({ min: 50 }).withMessage('Content must be at least 50 characters'),
   body('summary').trim().isLength({ min: 10, max: 500 }).withMessage('Summary must be between 10 and 500 characters'),
@@ -54,19 +97,29 @@ router.post('/', auth, checkDoctorOrAdmin, uploadBlogImage.single('featuredImage
     }
     return Array.isArray(value);
   }).withMessage('Tags must be a valid JSON array'),
-  body('status').optional().isIn(['draft', 'published']).withMessage('Status must be draft or published')
+  body('status').optional().isIn(['draft', 'scheduled', 'published']).withMessage('Status must be draft, scheduled or published'),
+  scheduleDateValidator('publishAt'),
+  scheduleDateValidator('unpublishAt'),
+  body('commentMode').optional().isIn(['open', 'moderated', 'disabled']).withMessage('Comment mode must be open, moderated or disabled')
 ], async (req, res) => {
+  let featuredImage = null;
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      // If there's an uploaded file and validation fails, delete it from Cloudinary
-      if (req.file) {
-        await cloudinary.uploader.destroy(req.file.filename);
-      }
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { title, content, summary, category, tags, status } = req.body;
+    const { title, content, summary, category, tags, commentMode } = req.body;
+
+    const schedule = resolveSchedule(req.body);
+    if (schedule.error) {
+      return res.status(400).json({ message: schedule.error });
+    }
+
+    if (['published', 'scheduled'].includes(schedule.status) && !canPublish(req.user)) {
+      return res.status(403).json({ message: 'Your credentials must be verified before you can publish. Save the post as a draft instead.' });
+    }
     
     // Parse tags if it's a string
     let parsedTags = [];
@@ -81,13 +134,18 @@ router.post('/', auth, checkDoctorOrAdmin, uploadBlogImage.single('featuredImage
       category,
       tags: parsedTags,
       author: req.user._id,
-      status: status || 'draft',
+      status: schedule.status,
+      publishAt: schedule.publishAt,
+      unpublishAt: schedule.unpublishAt,
+      publishedAt: schedule.status === 'published' ? new Date() : null,
+      commentMode: commentMode || 'open',
       isApproved: req.user.role === 'admin' // Auto-approve if admin
     };
 
-    // Add featured image if uploaded
+    // Store the featured image only once the request is known to be valid
     if (req.file) {
-      blogData.featuredImage = req.file.path;
+      featuredImage = await storeUpload(req.file, blogImages);
+      blogData.featuredImage = featuredImage;
     }
 
     // Auto-approve if admin, otherwise set approval fields
@@ -97,7 +155,17 @@ router.post('/', auth, checkDoctorOrAdmin, uploadBlogImage.single('featuredImage
     }
 
     const blog = new Blog(blogData);
-    await blog.save();
+    await retrySlugConflicts(blog, () => blog.save());
+    featuredImage = null;
+
+    // First revision; an admin's own post is approved as written
+    await BlogRevision.record(blog, req.user._id);
+    if (blog.isApproved) {
+      blog.approvedRevision = blog.revision;
+      await blog.save();
+    }
+
+    relatedBlogs.invalidate();
 
     // Populate author info
     await blog.populate('author', 'name email role specialty');
@@ -108,9 +176,10 @@ router.post('/', auth, checkDoctorOrAdmin, uploadBlogImage.single('featuredImage
     });
   } catch (error) {
     console.error('Create blog error:', error);
-    // If there's an uploaded file and an error occurs, delete it from Cloudinary
-    if (req.file) {
-      await cloudinary.uploader.destroy(req.file.filename);
+    // Don't leave behind an image no blog refers to
+    await deleteFile(featuredImage);
+    if (error.code === 'INVALID_FILE_TYPE') {
+      return res.status(400).json({ message: error.message });
     }
     res.status(500).json({ message: 'Server error' });
   }
@@ -124,7 +193,7 @@ router.get('/', optionalAuth, [
     'health-tips', 'medical-advice', 'nutrition', 'fitness', 'mental-health',
     'diseases', 'treatments', 'lifestyle', 'research', 'general'
   ]).withMessage('Invalid category'),
-  query('status').optional().isIn(['draft', 'published', 'archived']).withMessage('Invalid status'),
+  query('status').optional().isIn(['draft', 'scheduled', 'published', 'archived']).withMessage('Invalid status'),
   query('author').optional().isMongoId().withMessage('Invalid author ID'),
   query('search').optional().isString().withMessage('Search must be a string')
 ], async (req, res) => {
@@ -144,8 +213,7 @@ router.get('/', optionalAuth, [
     // Only show approved and published blogs for non-admin users
     // If no user is logged in, only show approved and published blogs
     if (!req.user || req.user.role !== 'admin') {
-      filter.isApproved = true;
-      filter.status = 'published';
+      Object.assign(filter, Blog.publicFilter());
     }
 
     if (req.query.category) filter.category = req.query.category;
@@ -160,15 +228,21 @@ router.get('/', optionalAuth, [
     const blogs = await Blog.find(filter)
       .populate('author', 'name email role specialty city')
       .populate('likes.user', 'name')
-      .populate('comments.user', 'name')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
 
     const total = await Blog.countDocuments(filter);
 
+    // Signed-in readers see which posts they have bookmarked
+    let results = blogs;
+    if (req.user) {
+      const bookmarked = await ReadingList.bookmarkedIds(req.user._id, blogs.map(blog => blog._id));
+      results = blogs.map(blog => ({ ...blog.toJSON(), isBookmarked: bookmarked.has(blog._id.toString()) }));
+    }
+
     res.json({
-      blogs,
+      blogs: results,
       pagination: {
         current: page,
         pages: Math.ceil(total / limit),
@@ -183,13 +257,43 @@ router.get('/', optionalAuth, [
   }
 });
 
+// FEED - Posts from followed doctors, categories and tags, or popular posts
+// for users who follow nothing. Defined before /:id so "feed" isn't read as an id.
+router.get('/feed', auth, [
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('cursor').optional().isString().withMessage('Cursor must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = blogFeed.decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+    }
+
+    const sources = await Follow.sourcesFor(req.user._id);
+    const limit = parseInt(req.query.limit) || 10;
+
+    res.json(await blogFeed.getFeedPage(sources, cursor, limit));
+  } catch (error) {
+    console.error('Get blog feed error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // READ - Get single blog by ID (PUBLIC + OPTIONAL AUTH)
 router.get('/:id', optionalAuth, async (req, res) => {
   try {
-    const blog = await Blog.findById(req.params.id)
-      .populate('author', 'name email role specialty city experience rating')
+    // Accepts an id, the current slug or an old slug
+    const blog = await Blog.findOne(slugOrIdFilter(req.params.id))
+      .populate('author', 'name email role specialty city experience rating slug')
       .populate('likes.user', 'name')
-      .populate('comments.user', 'name')
       .populate('approvedBy', 'name')
       .populate('rejectedBy', 'name');
 
@@ -200,7 +304,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
     // Check if user can view this blog
     const isAuthor = req.user && blog.author._id.toString() === req.user._id.toString();
     const isAdmin = req.user && req.user.role === 'admin';
-    const isPublishedAndApproved = blog.status === 'published' && blog.isApproved;
+    const isPublishedAndApproved = blog.isPubliclyVisible();
 
     // Allow access if:
     // 1. User is the author
@@ -210,13 +314,25 @@ router.get('/:id', optionalAuth, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    // Increment views if not the author
+    // Increment views if not the author. Counters leave updatedAt alone so
+    // feeds and sitemaps only change when the post does.
     if (!isAuthor) {
-      await Blog.findByIdAndUpdate(req.params.id, { $inc: { views: 1 } });
+      await Blog.updateOne({ _id: blog._id }, { $inc: { views: 1 } }, { timestamps: false });
       blog.views += 1;
     }
 
-    res.json(blog);
+    // Posts saved before Markdown rendering get rendered on the fly
+    if (!blog.contentHtml) {
+      Object.assign(blog, Blog.renderContent(blog.content));
+    }
+
+    // Reached through an old slug: tell the client where the post lives now
+    const redirect = redirectHint(blog, req.params.id, blogUrl(blog));
+    const isBookmarked = req.user
+      ? (await ReadingList.bookmarkedIds(req.user._id, [blog._id])).has(blog._id.toString())
+      : undefined;
+
+    res.json({ ...blog.toJSON(), isBookmarked, redirect: redirect || undefined });
   } catch (error) {
     console.error('Get blog error:', error);
     if (error.name === 'CastError') {
@@ -226,6 +342,31 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
+// RELATED - Public posts related to a blog, for "read next" suggestions
+router.get('/:id/related', [
+  query('limit').optional().isInt({ min: 1, max: relatedBlogs.MAX_RESULTS }).withMessage(`Limit must be between 1 and ${relatedBlogs.MAX_RESULTS}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const blog = await Blog.findOne({ ...slugOrIdFilter(req.params.id), ...Blog.publicFilter() })
+      .select('title tags category author');
+    if (!blog) {
+      return res.status(404).json({ message: 'Blog not found' });
+    }
+
+    const related = await relatedBlogs.findRelated(blog, parseInt(req.query.limit) || 5);
+
+    res.json({ related });
+  } catch (error) {
+    console.error('Get related blogs error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // UPDATE - Update a blog post
 router.put('/:id', auth, uploadBlogImage.single('featuredImage'), [
   body('title').optional().trim().isLength({ min: 5, max: 200 }).withMessage('Title must be between 5 and 200 characters'),
@@ -246,22 +387,21 @@ router.put('/:id', auth, uploadBlogImage.single('featuredImage'), [
     }
     return Array.isArray(value);
   }).withMessage('Tags must be a valid JSON array'),
-  body('status').optional().isIn(['draft', 'published', 'archived']).withMessage('Invalid status')
+  body('status').optional().isIn(['draft', 'scheduled', 'published', 'archived']).withMessage('Invalid status'),
+  scheduleDateValidator('publishAt'),
+  scheduleDateValidator('unpublishAt'),
+  body('commentMode').optional().isIn(['open', 'moderated', 'disabled']).withMessage('Comment mode must be open, moderated or disabled')
 ], async (req, res) => {
+  let featuredImage = null;
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      if (req.file) {
-        await cloudinary.uploader.destroy(req.file.filename);
-      }
       return res.status(400).json({ errors: errors.array() });
     }
 
     const blog = await Blog.findById(req.params.id);
     if (!blog) {
-      if (req.file) {
-        await cloudinary.uploader.destroy(req.file.filename);
-      }
       return res.status(404).json({ message: 'Blog not found' });
     }
 
@@ -270,13 +410,24 @@ router.put('/:id', auth, uploadBlogImage.single('featuredImage'), [
     const isAdmin = req.user.role === 'admin';
 
     if (!isAuthor && !isAdmin) {
-      if (req.file) {
-        await cloudinary.uploader.destroy(req.file.filename);
-      }
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    const { title, content, summary, category, tags, status } = req.body;
+    const { title, content, summary, category, tags, commentMode } = req.body;
+
+    const schedule = resolveSchedule(req.body, blog);
+    if (schedule.error) {
+      return res.status(400).json({ message: schedule.error });
+    }
+
+    const goesLive = ['published', 'scheduled'].includes(schedule.status) &&
+      !['published', 'scheduled'].includes(blog.status);
+    if (goesLive && !canPublish(req.user)) {
+      return res.status(403).json({ message: 'Your credentials must be verified before you can publish. Save the post as a draft instead.' });
+    }
+
+    // Blogs from before revision history need their current state saved first
+    await BlogRevision.ensureBaseline(blog);
     
     // Parse tags if it's a string
     let parsedTags = blog.tags;
@@ -287,20 +438,26 @@ router.put('/:id', auth, uploadBlogImage.single('featuredImage'), [
     // Update fields
     const updateData = {};
     if (title !== undefined) updateData.title = title;
-    if (content !== undefined) updateData.content = content;
+    if (content !== undefined) Object.assign(updateData, { content }, Blog.renderContent(content));
     if (summary !== undefined) updateData.summary = summary;
     if (category !== undefined) updateData.category = category;
     if (tags !== undefined) updateData.tags = parsedTags;
-    if (status !== undefined) updateData.status = status;
+    updateData.status = schedule.status;
+    updateData.publishAt = schedule.publishAt;
+    updateData.unpublishAt = schedule.unpublishAt;
+    if (schedule.status === 'published' && !blog.publishedAt) updateData.publishedAt = new Date();
+    if (commentMode !== undefined) updateData.commentMode = commentMode;
 
-    // Handle featured image update
+    // A new title gets a new slug; the old one keeps resolving once the post was public
+    const retitled = title !== undefined && title !== blog.title;
+    if (retitled) {
+      await blog.updateSlug(title);
+    }
+
+    // The old image is deleted once the blog points at the new one
     if (req.file) {
-      // Delete old image if exists
-      if (blog.featuredImage) {
-        const publicId = blog.featuredImage.split('/').pop().split('.')[0];
-        await cloudinary.uploader.destroy(`blog-images/${publicId}`);
-      }
-      updateData.featuredImage = req.file.path;
+      featuredImage = await storeUpload(req.file, blogImages);
+      updateData.featuredImage = featuredImage;
     }
 
     // Reset approval if content changed (unless admin)
@@ -313,11 +470,37 @@ router.put('/:id', auth, uploadBlogImage.single('featuredImage'), [
       updateData.rejectedAt = undefined;
     }
 
-    const updatedBlog = await Blog.findByIdAndUpdate(
+    const updatedBlog = await retrySlugConflicts(blog, () => Blog.findByIdAndUpdate(
       req.params.id,
-      updateData,
+      retitled ? { ...updateData, slug: blog.slug, previousSlugs: blog.previousSlugs } : updateData,
       { new: true, runValidators: true }
-    ).populate('author', 'name email role specialty');
+    ).populate('author', 'name email role specialty'));
+
+    if (featuredImage) {
+      featuredImage = null;
+      await deleteFile(blog.featuredImage);
+    }
+
+    relatedBlogs.invalidate();
+
+    // Record the edit; admin edits keep the approval, so they move it along
+    const revision = await BlogRevision.record(updatedBlog, req.user._id);
+    if (revision && isAdmin && updatedBlog.isApproved) {
+      updatedBlog.approvedRevision = revision.revision;
+      await Blog.updateOne({ _id: updatedBlog._id }, { approvedRevision: revision.revision });
+    }
+
+    // Admins editing someone else's post
+    if (!isAuthor) {
+      await audit.record(req, {
+        action: 'blog.update',
+        targetType: 'blog',
+        targetId: blog._id,
+        before: audit.snapshot(blog, auditFields),
+        after: audit.snapshot(updatedBlog, auditFields),
+        metadata: { revision: revision?.revision }
+      });
+    }
 
     res.json({
       message: 'Blog updated successfully',
@@ -325,8 +508,9 @@ router.put('/:id', auth, uploadBlogImage.single('featuredImage'), [
     });
   } catch (error) {
     console.error('Update blog error:', error);
-    if (req.file) {
-      await cloudinary.uploader.destroy(req.file.filename);
+    await deleteFile(featuredImage);
+    if (error.code === 'INVALID_FILE_TYPE') {
+      return res.status(400).json({ message: error.message });
     }
     if (error.name === 'CastError') {
       return res.status(400).json({ message: 'Invalid blog ID' });
@@ -351,13 +535,22 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    // Delete featured image from Cloudinary if exists
-    if (blog.featuredImage) {
-      const publicId = blog.featuredImage.split('/').pop().split('.')[0];
-      await cloudinary.uploader.destroy(`blog-images/${publicId}`);
-    }
-
     await Blog.findByIdAndDelete(req.params.id);
+    await deleteFile(blog.featuredImage);
+    await Comment.deleteMany({ blog: req.params.id });
+    await BlogRevision.deleteMany({ blog: req.params.id });
+    await ReadingList.removeBlogs([blog._id]);
+    relatedBlogs.invalidate();
+
+    // Authors removing their own posts is routine; admins removing them is audited
+    if (!isAuthor) {
+      await audit.record(req, {
+        action: 'blog.delete',
+        targetType: 'blog',
+        targetId: blog._id,
+        before: audit.snapshot(blog, auditFields)
+      });
+    }
 
     res.json({ message: 'Blog deleted successfully' });
   } catch (error) {
@@ -388,7 +581,18 @@ router.post('/:id/like', auth, async (req, res) => {
       blog.likes.push({ user: req.user._id });
     }
 
-    await blog.save();
+    await blog.save({ timestamps: false });
+
+    if (!existingLike) {
+      notify({
+        recipient: blog.author,
+        actor: req.user._id,
+        type: 'blog-like',
+        message: `${req.user.name} liked your post "${blog.title}"`,
+        link: blogUrl(blog),
+        blog: blog._id
+      });
+    }
 
     res.json({
       message: existingLike ? 'Blog unliked' : 'Blog liked',
@@ -404,46 +608,14 @@ router.post('/:id/like', auth, async (req, res) => {
   }
 });
 
-// COMMENT - Add a comment to a blog
-router.post('/:id/comment', auth, [
-  body('content').trim().isLength({ min: 1, max: 1000 }).withMessage('Comment must be between 1 and 1000 characters')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+// COMMENT - Add a top-level comment (kept for older clients, see routes/comments.js)
+router.post('/:id/comment', auth, requireVerified, rateLimit('comment'), commentValidation, addComment);
 
-    const blog = await Blog.findById(req.params.id);
-    if (!blog) {
-      return res.status(404).json({ message: 'Blog not found' });
-    }
-
-    const comment = {
-      user: req.user._id,
-      content: req.body.content
-    };
-
-    blog.comments.push(comment);
-    await blog.save();
-
-    // Populate the new comment
-    await blog.populate('comments.user', 'name');
+// Threaded comments: /api/blogs/:blogId/comments
+router.use('/:blogId/comments', commentsRouter);
 
-    const newComment = blog.comments[blog.comments.length - 1];
-
-    res.status(201).json({
-      message: 'Comment added successfully',
-      comment: newComment
-    });
-  } catch (error) {
-    console.error('Add comment error:', error);
-    if (error.name === 'CastError') {
-      return res.status(400).json({ message: 'Invalid blog ID' });
-    }
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+// Revision history: /api/blogs/:blogId/revisions
+router.use('/:blogId/revisions', revisionsRouter);
 
 // ADMIN ROUTES - Approve/Reject blogs (Admin only)
 router.post('/:id/approve', auth, async (req, res) => {
@@ -457,7 +629,11 @@ router.post('/:id/approve', auth, async (req, res) => {
       return res.status(404).json({ message: 'Blog not found' });
     }
 
+    await BlogRevision.ensureBaseline(blog);
+    const before = audit.snapshot(blog, auditFields);
+
     blog.isApproved = true;
+    blog.approvedRevision = blog.revision;
     blog.approvedBy = req.user._id;
     blog.approvedAt = new Date();
     blog.rejectionReason = undefined;
@@ -465,6 +641,24 @@ router.post('/:id/approve', auth, async (req, res) => {
     blog.rejectedAt = undefined;
 
     await blog.save();
+    relatedBlogs.invalidate();
+
+    await audit.record(req, {
+      action: 'blog.approve',
+      targetType: 'blog',
+      targetId: blog._id,
+      before,
+      after: audit.snapshot(blog, auditFields)
+    });
+
+    notify({
+      recipient: blog.author,
+      actor: req.user._id,
+      type: 'blog-approved',
+      message: `Your post "${blog.title}" was approved`,
+      link: blogUrl(blog),
+      blog: blog._id
+    });
 
     res.json({
       message: 'Blog approved successfully',
@@ -494,6 +688,8 @@ router.post('/:id/reject', auth, [
       return res.status(404).json({ message: 'Blog not found' });
     }
 
+    const before = audit.snapshot(blog, auditFields);
+
     blog.isApproved = false;
     blog.rejectionReason = req.body.reason;
     blog.rejectedBy = req.user._id;
@@ -502,6 +698,24 @@ router.post('/:id/reject', auth, [
     blog.approvedAt = undefined;
 
     await blog.save();
+    relatedBlogs.invalidate();
+
+    await audit.record(req, {
+      action: 'blog.reject',
+      targetType: 'blog',
+      targetId: blog._id,
+      before,
+      after: audit.snapshot(blog, auditFields)
+    });
+
+    notify({
+      recipient: blog.author,
+      actor: req.user._id,
+      type: 'blog-rejected',
+      message: `Your post "${blog.title}" was not approved: ${req.body.reason}`,
+      link: `${clientUrl}/my-blogs`,
+      blog: blog._id
+    });
 
     res.json({
       message: 'Blog rejected successfully',
@@ -0,0 +1,405 @@
+// routes/comments.js
+// Mounted at /api/blogs/:blogId/comments
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Blog = require('../models/Blog');
+const Comment = require('../models/Comment');
+const { auth, optionalAuth, requireVerified } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { blogUrl } = require('../utils/urls');
+const { notify } = require('../services/notifications');
+
+const router = express.Router({ mergeParams: true });
+
+const MAX_DEPTH = 5;
+
+const commentValidation = [
+  body('content').trim().isLength({ min: 1, max: 1000 }).withMessage('Comment must be between 1 and 1000 characters')
+];
+
+// Load the blog from :blogId (or :id on the legacy route) and check the reader can see it
+const loadBlog = async (req, res) => {
+  const blog = await Blog.findById(req.params.blogId || req.params.id);
+  if (!blog) {
+    res.status(404).json({ message: 'Blog not found' });
+    return null;
+  }
+
+  if (!blog.isPubliclyVisible() && !isModerator(blog, req.user)) {
+    res.status(403).json({ message: 'Access denied' });
+    return null;
+  }
+
+  return blog;
+};
+
+// The blog author and admins moderate a blog's comments
+const isModerator = (blog, user) => Boolean(user) &&
+  (user.role === 'admin' || blog.author.toString() === user._id.toString());
+
+// Which comments a reader may see: visible ones, plus pending ones for
+// moderators and for the people who wrote them
+const visibilityFilter = (blog, user) => {
+  if (isModerator(blog, user)) {
+    return { status: { $in: ['visible', 'pending'] } };
+  }
+  if (user) {
+    return { $or: [{ status: 'visible' }, { status: 'pending', author: user._id }] };
+  }
+  return { status: 'visible' };
+};
+
+// Tell the blog author about a new comment and, for a visible reply, the
+// author of the comment replied to
+const notifyNewComment = (blog, comment, parent, actor) => {
+  const link = `${blogUrl(blog)}#comment-${comment._id}`;
+  const repliedTo = comment.status === 'visible' && parent && !parent.isDeleted ? parent.author : null;
+
+  if (repliedTo) {
+    notify({
+      recipient: repliedTo,
+      actor: actor._id,
+      type: 'comment-reply',
+      message: `${actor.name} replied to your comment on "${blog.title}"`,
+      link,
+      blog: blog._id,
+      comment: comment._id
+    });
+  }
+
+  // The blog author already heard about it if the reply was to them
+  if (!repliedTo || repliedTo.toString() !== blog.author.toString()) {
+    notify({
+      recipient: blog.author,
+      actor: actor._id,
+      type: 'blog-comment',
+      message: comment.status === 'pending'
+        ? `${actor.name} commented on "${blog.title}" and is awaiting your approval`
+        : `${actor.name} commented on "${blog.title}"`,
+      link,
+      blog: blog._id,
+      comment: comment._id
+    });
+  }
+};
+
+// Load a comment of the current blog by :commentId
+const loadComment = async (req, res, blog) => {
+  const comment = await Comment.findOne({ _id: req.params.commentId, blog: blog._id });
+  if (!comment) {
+    res.status(404).json({ message: 'Comment not found' });
+    return null;
+  }
+  return comment;
+};
+
+// Create a comment or reply. Also serves the legacy POST /api/blogs/:id/comment.
+const addComment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const blog = await loadBlog(req, res);
+    if (!blog) return;
+
+    const moderator = isModerator(blog, req.user);
+    if (blog.commentMode === 'disabled' && !moderator) {
+      return res.status(403).json({ message: 'Comments are disabled for this blog' });
+    }
+
+    const commentData = {
+      blog: blog._id,
+      author: req.user._id,
+      content: req.body.content,
+      status: blog.commentMode === 'moderated' && !moderator ? 'pending' : 'visible'
+    };
+
+    let parent = null;
+    if (req.body.parentId) {
+      parent = await Comment.findOne({ _id: req.body.parentId, blog: blog._id });
+      if (!parent || parent.status !== 'visible') {
+        return res.status(404).json({ message: 'Parent comment not found' });
+      }
+      if (parent.depth + 1 > MAX_DEPTH) {
+        return res.status(400).json({ message: `Replies can be nested at most ${MAX_DEPTH} levels deep` });
+      }
+
+      commentData.parent = parent._id;
+      commentData.root = parent.root || parent._id;
+      commentData.depth = parent.depth + 1;
+    }
+
+    const comment = new Comment(commentData);
+    await comment.save();
+    await Comment.refreshCount(blog._id);
+
+    notifyNewComment(blog, comment, parent, req.user);
+
+    await comment.populate('author', 'name profileImage');
+
+    res.status(201).json({
+      message: comment.status === 'pending'
+        ? 'Comment submitted and awaiting moderation'
+        : 'Comment added successfully',
+      comment
+    });
+  } catch (error) {
+    console.error('Add comment error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// List top-level comments (pinned first) with their reply trees
+router.get('/', optionalAuth, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('sort').optional().isIn(['newest', 'oldest']).withMessage('Sort must be newest or oldest')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const blog = await loadBlog(req, res);
+    if (!blog) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const direction = req.query.sort === 'oldest' ? 1 : -1;
+
+    const visibility = visibilityFilter(blog, req.user);
+    const filter = { blog: blog._id, parent: null, ...visibility };
+
+    const topLevel = await Comment.find(filter)
+      .populate('author', 'name profileImage')
+      .sort({ isPinned: -1, createdAt: direction })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Comment.countDocuments(filter);
+
+    const replies = await Comment.find({
+      root: { $in: topLevel.map(comment => comment._id) },
+      ...visibility
+    })
+      .populate('author', 'name profileImage')
+      .sort({ createdAt: 1 });
+
+    // Attach each reply to its parent; replies under a hidden parent are dropped
+    const nodes = new Map();
+    [...topLevel, ...replies].forEach(comment => {
+      nodes.set(comment._id.toString(), { ...comment.toJSON(), replies: [] });
+    });
+    replies.forEach(reply => {
+      const parent = nodes.get(reply.parent.toString());
+      if (parent) parent.replies.push(nodes.get(reply._id.toString()));
+    });
+
+    res.json({
+      comments: topLevel.map(comment => nodes.get(comment._id.toString())),
+      commentMode: blog.commentMode,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid blog ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a comment, or a reply with parentId
+router.post('/', auth, requireVerified, rateLimit('comment'), [
+  ...commentValidation,
+  body('parentId').optional().isMongoId().withMessage('Invalid parent comment ID')
+], addComment);
+
+// Edit own comment
+router.put('/:commentId', auth, commentValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const blog = await loadBlog(req, res);
+    if (!blog) return;
+
+    const comment = await loadComment(req, res, blog);
+    if (!comment) return;
+
+    if (comment.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (comment.isDeleted) {
+      return res.status(400).json({ message: 'Deleted comments cannot be edited' });
+    }
+
+    comment.content = req.body.content;
+    comment.isEdited = true;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    await comment.populate('author', 'name profileImage');
+
+    res.json({
+      message: 'Comment updated successfully',
+      comment
+    });
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a comment (its author, the blog author or an admin). The comment is
+// kept as a placeholder so its replies stay threaded.
+router.delete('/:commentId', auth, async (req, res) => {
+  try {
+    const blog = await loadBlog(req, res);
+    if (!blog) return;
+
+    const comment = await loadComment(req, res, blog);
+    if (!comment) return;
+
+    const isAuthor = comment.author.toString() === req.user._id.toString();
+    if (!isAuthor && !isModerator(blog, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (comment.isDeleted) {
+      return res.status(400).json({ message: 'Comment is already deleted' });
+    }
+
+    comment.isDeleted = true;
+    comment.deletedAt = new Date();
+    comment.deletedBy = req.user._id;
+    comment.isPinned = false;
+    await comment.save();
+    await Comment.refreshCount(blog._id);
+
+    res.json({ message: 'Comment deleted successfully' });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Pin or unpin a top-level comment (blog author or admin)
+router.post('/:commentId/pin', auth, async (req, res) => {
+  try {
+    const blog = await loadBlog(req, res);
+    if (!blog) return;
+
+    if (!isModerator(blog, req.user)) {
+      return res.status(403).json({ message: 'Only the blog author can pin comments' });
+    }
+
+    const comment = await loadComment(req, res, blog);
+    if (!comment) return;
+
+    if (comment.parent || comment.isDeleted || comment.status !== 'visible') {
+      return res.status(400).json({ message: 'Only visible top-level comments can be pinned' });
+    }
+
+    comment.isPinned = !comment.isPinned;
+    comment.pinnedAt = comment.isPinned ? new Date() : undefined;
+    await comment.save();
+
+    res.json({
+      message: comment.isPinned ? 'Comment pinned' : 'Comment unpinned',
+      isPinned: comment.isPinned
+    });
+  } catch (error) {
+    console.error('Pin comment error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve or reject a comment held for moderation (blog author or admin)
+const moderate = (status) => async (req, res) => {
+  try {
+    const blog = await loadBlog(req, res);
+    if (!blog) return;
+
+    if (!isModerator(blog, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const comment = await loadComment(req, res, blog);
+    if (!comment) return;
+
+    const wasPending = comment.status === 'pending';
+    comment.status = status;
+    await comment.save();
+    await Comment.refreshCount(blog._id);
+
+    if (wasPending && status === 'visible') {
+      notify({
+        recipient: comment.author,
+        actor: req.user._id,
+        type: 'comment-approved',
+        message: `Your comment on "${blog.title}" was approved`,
+        link: `${blogUrl(blog)}#comment-${comment._id}`,
+        blog: blog._id,
+        comment: comment._id
+      });
+
+      // Replies held for moderation reach the parent's author once approved
+      const parent = comment.parent && await Comment.findById(comment.parent).select('author isDeleted');
+      if (parent && !parent.isDeleted && parent.author.toString() !== comment.author.toString()) {
+        notify({
+          recipient: parent.author,
+          actor: comment.author,
+          type: 'comment-reply',
+          message: `Someone replied to your comment on "${blog.title}"`,
+          link: `${blogUrl(blog)}#comment-${comment._id}`,
+          blog: blog._id,
+          comment: comment._id
+        });
+      }
+    }
+
+    res.json({
+      message: status === 'visible' ? 'Comment approved' : 'Comment rejected',
+      comment
+    });
+  } catch (error) {
+    console.error('Moderate comment error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+router.post('/:commentId/approve', auth, moderate('visible'));
+router.post('/:commentId/reject', auth, moderate('rejected'));
+
+module.exports = router;
+module.exports.addComment = addComment;
+module.exports.commentValidation = commentValidation;
@@ -1,13 +1,23 @@
 // routes/contact.js
 const express = require('express');
 const Contact = require('../models/Contact');
-const { body, validationResult } = require('express-validator');
-const { auth, adminAuth } = require('../middleware/auth');
+const User = require('../models/User');
+const { body, query, validationResult } = require('express-validator');
+const { auth, adminAuth, requireVerified } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { sendMail } = require('../config/mail');
+const { contactReplyEmail } = require('../utils/emails');
+const { clientUrl } = require('../utils/urls');
+const { notify } = require('../services/notifications');
+const audit = require('../services/audit');
+
+// Fields kept in audit log snapshots of a ticket
+const auditFields = ['status', 'assignedTo', 'readAt', 'readBy', 'hasUnreadResponse'];
 
 const router = express.Router();
 
 // Submit contact form (requires authentication)
-router.post('/', auth, [
+router.post('/', auth, requireVerified, rateLimit('contact'), [
   body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   body('email').isEmail().withMessage('Please provide a valid email'),
   body('message').trim().isLength({ min: 10 }).withMessage('Message must be at least 10 characters')
@@ -45,14 +55,58 @@ router.post('/', auth, [
   }
 });
 
-// Get all contact messages (admin only)
-router.get('/', auth, adminAuth, async (req, res) => {
+// Get all contact messages (admin only), filterable and paginated
+router.get('/', auth, adminAuth, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(['pending', 'read', 'responded', 'closed']).withMessage('Invalid status'),
+  query('role').optional().isIn(['user', 'doctor', 'admin']).withMessage('Invalid role'),
+  query('assignedTo').optional().custom(value => value === 'me' || value === 'unassigned' || /^[a-f\d]{24}$/i.test(value))
+    .withMessage('assignedTo must be "me", "unassigned" or an admin ID'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+], async (req, res) => {
   try {
-    const contacts = await Contact.find()
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.role) filter.userRole = req.query.role;
+    if (req.query.assignedTo === 'me') filter.assignedTo = req.user._id;
+    else if (req.query.assignedTo === 'unassigned') filter.assignedTo = null;
+    else if (req.query.assignedTo) filter.assignedTo = req.query.assignedTo;
+    if (req.query.from || req.query.to) {
+      filter.createdAt = {};
+      if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+    }
+
+    const contacts = await Contact.find(filter)
       .populate('userId', 'name email role')
-      .sort({ createdAt: -1 });
+      .populate('assignedTo', 'name email')
+      .sort({ lastActivityAt: -1 })
+      .skip(skip)
+      .limit(limit);
 
-    res.json(contacts);
+    const total = await Contact.countDocuments(filter);
+
+    res.json({
+      contacts,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
   } catch (error) {
     console.error('Get contacts error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -63,6 +117,7 @@ router.get('/', auth, adminAuth, async (req, res) => {
 router.get('/my-messages', auth, async (req, res) => {
   try {
     const contacts = await Contact.find({ userId: req.user._id })
+      .populate('messages.author', 'name role')
       .sort({ createdAt: -1 });
 
     res.json(contacts);
@@ -72,4 +127,350 @@ router.get('/my-messages', auth, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Get a single ticket (owner or admin; internal notes are admin only)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const isAdmin = req.user.role === 'admin';
+    const contactQuery = Contact.findById(req.params.id)
+      .populate('userId', 'name email role')
+      .populate('assignedTo', 'name email')
+      .populate('messages.author', 'name role');
+
+    if (isAdmin) {
+      contactQuery.select('+internalNotes').populate('internalNotes.author', 'name');
+    }
+
+    const contact = await contactQuery;
+    if (!contact) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    const isOwner = contact.userId?._id.toString() === req.user._id.toString();
+    if (!isOwner && !isAdmin) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // Opening the ticket acknowledges the latest response
+    if (isOwner && contact.hasUnreadResponse) {
+      contact.hasUnreadResponse = false;
+      await Contact.updateOne({ _id: contact._id }, { hasUnreadResponse: false });
+    }
+
+    res.json(contact);
+  } catch (error) {
+    console.error('Get contact error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid message ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Follow up on own ticket (reopens it if it was closed)
+router.post('/:id/follow-up', auth, requireVerified, rateLimit('contactFollowUp'), [
+  body('message').trim().isLength({ min: 1, max: 5000 }).withMessage('Message must be between 1 and 5000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const contact = await Contact.findById(req.params.id);
+    if (!contact) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    if (contact.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    contact.messages.push({
+      author: req.user._id,
+      authorRole: 'user',
+      content: req.body.message
+    });
+    contact.status = 'pending';
+    contact.lastActivityAt = new Date();
+
+    await contact.save();
+
+    if (contact.assignedTo) {
+      notify({
+        recipient: contact.assignedTo,
+        actor: req.user._id,
+        type: 'contact-follow-up',
+        message: `${req.user.name} followed up on their support request`,
+        link: `${clientUrl}/admin/messages/${contact._id}`,
+        contact: contact._id
+      });
+    }
+    await contact.populate('messages.author', 'name role');
+
+    res.status(201).json({
+      message: 'Follow-up sent successfully',
+      contact
+    });
+  } catch (error) {
+    console.error('Contact follow-up error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid message ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ADMIN - Mark a message as read
+router.put('/:id/read', auth, adminAuth, async (req, res) => {
+  try {
+    const contact = await Contact.findById(req.params.id);
+    if (!contact) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    const before = audit.snapshot(contact, auditFields);
+
+    if (contact.status === 'pending') {
+      contact.status = 'read';
+    }
+    contact.readAt = new Date();
+    contact.readBy = req.user._id;
+
+    await contact.save();
+
+    await audit.record(req, {
+      action: 'contact.read',
+      targetType: 'contact',
+      targetId: contact._id,
+      before,
+      after: audit.snapshot(contact, auditFields)
+    });
+
+    res.json({
+      message: 'Message marked as read',
+      contact
+    });
+  } catch (error) {
+    console.error('Mark contact read error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid message ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ADMIN - Reply to the user, who is notified by email
+router.post('/:id/reply', auth, adminAuth, [
+  body('message').trim().isLength({ min: 1, max: 5000 }).withMessage('Reply must be between 1 and 5000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const contact = await Contact.findById(req.params.id);
+    if (!contact) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    const before = audit.snapshot(contact, auditFields);
+
+    const now = new Date();
+    contact.messages.push({
+      author: req.user._id,
+      authorRole: 'admin',
+      content: req.body.message,
+      createdAt: now
+    });
+    contact.status = 'responded';
+    contact.adminResponse = req.body.message;
+    contact.respondedAt = now;
+    contact.respondedBy = req.user._id;
+    contact.hasUnreadResponse = true;
+    contact.lastActivityAt = now;
+    if (!contact.readAt) {
+      contact.readAt = now;
+      contact.readBy = req.user._id;
+    }
+
+    await contact.save();
+
+    await audit.record(req, {
+      action: 'contact.reply',
+      targetType: 'contact',
+      targetId: contact._id,
+      before,
+      after: audit.snapshot(contact, auditFields),
+      metadata: { message: req.body.message }
+    });
+
+    // Sent to the account's verified address, not the one typed into the form,
+    // so replies can't be routed to someone else's inbox
+    const owner = await User.findById(contact.userId).select('name email');
+    if (owner) {
+      sendMail(contactReplyEmail(owner, req.body.message)).catch(error => {
+        console.error('Contact reply email error:', error);
+      });
+    }
+
+    notify({
+      recipient: contact.userId,
+      actor: req.user._id,
+      type: 'contact-reply',
+      message: 'Our support team replied to your message',
+      link: `${clientUrl}/my-messages`,
+      contact: contact._id
+    });
+
+    await contact.populate('messages.author', 'name role');
+
+    res.json({
+      message: 'Reply sent successfully',
+      contact
+    });
+  } catch (error) {
+    console.error('Contact reply error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid message ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ADMIN - Add an internal note
+router.post('/:id/notes', auth, adminAuth, [
+  body('content').trim().isLength({ min: 1, max: 5000 }).withMessage('Note must be between 1 and 5000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const contact = await Contact.findByIdAndUpdate(
+      req.params.id,
+      { $push: { internalNotes: { author: req.user._id, content: req.body.content } } },
+      { new: true }
+    ).select('+internalNotes').populate('internalNotes.author', 'name');
+
+    if (!contact) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    await audit.record(req, {
+      action: 'contact.note',
+      targetType: 'contact',
+      targetId: contact._id,
+      metadata: { note: req.body.content }
+    });
+
+    res.status(201).json({
+      message: 'Note added successfully',
+      internalNotes: contact.internalNotes
+    });
+  } catch (error) {
+    console.error('Contact note error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid message ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ADMIN - Assign the ticket to an admin (null to unassign)
+router.put('/:id/assign', auth, adminAuth, [
+  body('adminId').optional({ values: 'null' }).isMongoId().withMessage('Invalid admin ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const adminId = req.body.adminId || null;
+    if (adminId) {
+      const admin = await User.exists({ _id: adminId, role: 'admin' });
+      if (!admin) {
+        return res.status(400).json({ message: 'Tickets can only be assigned to admins' });
+      }
+    }
+
+    const previous = await Contact.findById(req.params.id).select(auditFields.join(' '));
+
+    const contact = await Contact.findByIdAndUpdate(
+      req.params.id,
+      adminId
+        ? { assignedTo: adminId, assignedAt: new Date() }
+        : { assignedTo: null, $unset: { assignedAt: 1 } },
+      { new: true }
+    ).populate('assignedTo', 'name email');
+
+    if (!contact) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    await audit.record(req, {
+      action: 'contact.assign',
+      targetType: 'contact',
+      targetId: contact._id,
+      before: audit.snapshot(previous, auditFields),
+      after: audit.snapshot(contact, auditFields)
+    });
+
+    res.json({
+      message: adminId ? 'Ticket assigned successfully' : 'Ticket unassigned successfully',
+      contact
+    });
+  } catch (error) {
+    console.error('Assign contact error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid message ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Close a ticket (owner or admin); a follow-up reopens it
+router.post('/:id/close', auth, async (req, res) => {
+  try {
+    const contact = await Contact.findById(req.params.id);
+    if (!contact) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    const isOwner = contact.userId.toString() === req.user._id.toString();
+    if (!isOwner && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const before = audit.snapshot(contact, auditFields);
+
+    contact.status = 'closed';
+    contact.lastActivityAt = new Date();
+    await contact.save();
+
+    if (!isOwner) {
+      await audit.record(req, {
+        action: 'contact.close',
+        targetType: 'contact',
+        targetId: contact._id,
+        before,
+        after: audit.snapshot(contact, auditFields)
+      });
+    }
+
+    res.json({
+      message: 'Ticket closed successfully',
+      contact
+    });
+  } catch (error) {
+    console.error('Close contact error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid message ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,63 +1,511 @@
 
 // routes/doctors.js
 const express = require('express');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth, doctorAuth } = require('../middleware/auth');
+const Availability = require('../models/Availability');
+const Review = require('../models/Review');
+const Follow = require('../models/Follow');
+const { auth, optionalAuth, adminAuth, doctorAuth } = require('../middleware/auth');
+const { uploadCredentialDocuments, storeUpload, credentialDocuments } = require('../config/uploads');
+const { deleteFile, fileUrl } = require('../config/storage');
+const { geocodeCity, toPoint } = require('../utils/geocode');
+const { containsPattern } = require('../utils/regex');
+const { slugOrIdFilter, redirectHint, retrySlugConflicts } = require('../utils/slug');
+const { doctorUrl } = require('../utils/urls');
+const audit = require('../services/audit');
 
 const router = express.Router();
 
-// Get all doctors
-router.get('/', async (req, res) => {
-  try {
-    const { specialty, city, search } = req.query;
-    let query = { role: 'doctor' };
+// Aggregations skip `select: false`, so private fields are excluded explicitly
+const hiddenFields = Object.fromEntries(User.PUBLIC_HIDDEN_FIELDS.map(field => [field, 0]));
+
+// The same fields for find queries
+const publicSelect = User.PUBLIC_HIDDEN_FIELDS.map(field => `-${field}`).join(' ');
+
+// Sort options for the directory; _id keeps pages stable between equal values
+const sortOptions = {
+  rating: { rating: -1, reviews: -1, _id: 1 },
+  experience: { experience: -1, _id: 1 },
+  name: { name: 1, _id: 1 },
+  newest: { createdAt: -1, _id: 1 },
+  distance: { distance: 1, _id: 1 }
+};
 
-    if (specialty) {
-      query.specialty = new RegExp(specialty, 'i');
+// Group the matching doctors by a field for the filter sidebar
+const facetStages = (filter, field) => [
+  { $match: filter },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $match: { _id: { $nin: [null, ''] } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $project: { _id: 0, value: '$_id', count: 1 } }
+];
+
+// Get all doctors, paginated, with specialty and city facet counts.
+// With ?lat=&lng= (or ?near=<city>) results are limited to ?radius= kilometres
+// (default 25), sorted by distance by default and include `distance` in km.
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('sort').optional().isIn(Object.keys(sortOptions)).withMessage('Invalid sort option'),
+  query('specialty').optional().isString().isLength({ max: 100 }).withMessage('Specialty must be at most 100 characters'),
+  query('city').optional().isString().isLength({ max: 100 }).withMessage('City must be at most 100 characters'),
+  query('search').optional().isString().isLength({ max: 100 }).withMessage('Search must be at most 100 characters'),
+  query('verified').optional().isIn(['true', 'false']).withMessage('Verified must be true or false'),
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  query('radius').optional().isFloat({ min: 0.1, max: 500 }).withMessage('Radius must be between 0.1 and 500 km'),
+  query('near').optional().isString().isLength({ max: 100 }).withMessage('Near must be a city name')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    if (city) {
-      query.city = new RegExp(city, 'i');
+    const { specialty, city, search, verified, near } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 12;
+    const skip = (page - 1) * limit;
+
+    // Filters shared by the results and every facet
+    const baseFilter = { role: 'doctor' };
+
+    // ?verified=true limits the list to doctors whose credentials were approved
+    if (verified === 'true') {
+      baseFilter.credentialStatus = 'approved';
     }
 
     if (search) {
-      query.$or = [
-        { name: new RegExp(search, 'i') },
-        { specialty: new RegExp(search, 'i') }
+      baseFilter.$or = [
+        { name: containsPattern(search) },
+        { specialty: containsPattern(search) }
       ];
     }
 
-    const doctors = await User.find(query)
-      .select('-password')
-      .sort({ rating: -1 });
+    // Facet filters; each facet is counted without its own filter so the UI
+    // can show how many results picking another value would give
+    const specialtyFilter = specialty ? { specialty: containsPattern(specialty) } : {};
+    const cityFilter = city ? { city: containsPattern(city) } : {};
+    const resultFilter = { ...specialtyFilter, ...cityFilter };
+
+    let origin = null;
+    if (req.query.lat !== undefined || req.query.lng !== undefined) {
+      if (req.query.lat === undefined || req.query.lng === undefined) {
+        return res.status(400).json({ message: 'Both lat and lng are required for a location search' });
+      }
+      origin = { lat: parseFloat(req.query.lat), lng: parseFloat(req.query.lng) };
+    } else if (near) {
+      origin = geocodeCity(near);
+      if (!origin) {
+        return res.status(400).json({ message: `Unknown city "${near}"` });
+      }
+    }
 
-    res.json(doctors);
+    const sortKey = req.query.sort || (origin ? 'distance' : 'rating');
+    if (sortKey === 'distance' && !origin) {
+      return res.status(400).json({ message: 'Sorting by distance requires a location' });
+    }
+
+    const pipeline = [];
+    if (origin) {
+      const radius = parseFloat(req.query.radius) || 25;
+      pipeline.push({
+        $geoNear: {
+          near: toPoint(origin.lat, origin.lng),
+          distanceField: 'distance',
+          maxDistance: radius * 1000,
+          distanceMultiplier: 0.001,
+          spherical: true,
+          query: baseFilter
+        }
+      });
+    } else {
+      pipeline.push({ $match: baseFilter });
+    }
+
+    pipeline.push({
+      $facet: {
+        doctors: [
+          { $match: resultFilter },
+          { $sort: sortOptions[sortKey] },
+          { $skip: skip },
+          { $limit: limit },
+          { $project: hiddenFields }
+        ],
+        total: [
+          { $match: resultFilter },
+          { $count: 'count' }
+        ],
+        specialties: facetStages(cityFilter, 'specialty'),
+        cities: facetStages(specialtyFilter, 'city')
+      }
+    });
+
+    const [result] = await User.aggregate(pipeline).collation({ locale: 'en', strength: 2 });
+
+    const doctors = origin
+      ? result.doctors.map(doctor => ({ ...doctor, distance: Math.round(doctor.distance * 100) / 100 }))
+      : result.doctors;
+    const total = result.total[0]?.count || 0;
+
+    res.json({
+      doctors,
+      facets: {
+        specialties: result.specialties,
+        cities: result.cities
+      },
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
   } catch (error) {
     console.error('Get doctors error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get doctor by ID
-router.get('/:id', async (req, res) => {
+// Credentials with short-lived links to their private documents, for the
+// doctor who submitted them and admins only
+const withDocumentLinks = (credentials) => {
+  if (!credentials) return credentials;
+  const plain = typeof credentials.toObject === 'function' ? credentials.toObject() : credentials;
+  return {
+    ...plain,
+    documents: (plain.documents || []).map(document => ({ ...document, url: fileUrl(document) }))
+  };
+};
+
+// Delete stored credential documents
+const destroyDocuments = (documents = []) => Promise.all(documents.map(deleteFile));
+
+// Get the current doctor's credential submission
+router.get('/credentials', auth, doctorAuth, async (req, res) => {
+  try {
+    const doctor = await User.findById(req.user._id).select('credentialStatus credentials');
+
+    res.json({
+      credentialStatus: doctor.credentialStatus,
+      credentials: withDocumentLinks(doctor.credentials)
+    });
+  } catch (error) {
+    console.error('Get credentials error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin review queue of credential submissions (?status=pending by default)
+router.get('/admin/credentials', auth, adminAuth, [
+  query('status').optional().isIn(['pending', 'approved', 'rejected']).withMessage('Invalid status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = { role: 'doctor', credentialStatus: req.query.status || 'pending' };
+
+    const doctors = await User.find(filter)
+      .select('name email specialty city experience credentialStatus +credentials')
+      .populate('credentials.reviewedBy', 'name')
+      .sort({ 'credentials.submittedAt': 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await User.countDocuments(filter);
+
+    res.json({
+      doctors: doctors.map(doctor => ({
+        ...doctor.toObject(),
+        credentials: withDocumentLinks(doctor.credentials)
+      })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get credential queue error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get doctor by ID, with the first page of reviews (?reviewPage=&reviewLimit=)
+router.get('/:id', optionalAuth, [
+  query('reviewPage').optional().isInt({ min: 1 }).withMessage('Review page must be a positive integer'),
+  query('reviewLimit').optional().isInt({ min: 1, max: 50 }).withMessage('Review limit must be between 1 and 50')
+], async (req, res) => {
   try {
-    const doctor = await User.findOne({ _id: req.params.id, role: 'doctor' })
-      .select('-password');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Accepts an id, the current slug or an old slug
+    const doctor = await User.findOne({ ...slugOrIdFilter(req.params.id), role: 'doctor' })
+      .select(publicSelect);
 
     if (!doctor) {
       return res.status(404).json({ message: 'Doctor not found' });
     }
 
-    res.json(doctor);
+    const reviewPage = parseInt(req.query.reviewPage) || 1;
+    const reviewLimit = parseInt(req.query.reviewLimit) || 5;
+    const reviewList = await Review.findForDoctor(doctor._id, reviewPage, reviewLimit);
+    const followersCount = await Follow.countFollowers(doctor._id);
+    const isFollowing = req.user
+      ? Boolean(await Follow.exists({ follower: req.user._id, targetType: 'doctor', doctor: doctor._id }))
+      : undefined;
+
+    res.json({
+      ...doctor.toObject(),
+      reviewList,
+      followersCount,
+      isFollowing,
+      redirect: redirectHint(doctor, req.params.id, doctorUrl(doctor)) || undefined
+    });
   } catch (error) {
     console.error('Get doctor error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Get a doctor's published availability
+router.get('/:id/availability', async (req, res) => {
+  try {
+    const availability = await Availability.findOne({ doctor: req.params.id });
+
+    if (!availability) {
+      return res.status(404).json({ message: 'Availability not found' });
+    }
+
+    res.json(availability);
+  } catch (error) {
+    console.error('Get availability error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid doctor ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List free slots for a doctor in a date range (max 31 days)
+router.get('/:id/slots', [
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const now = new Date();
+    const requestedFrom = req.query.from ? new Date(req.query.from) : now;
+    const from = requestedFrom < now ? now : requestedFrom;
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+    if (to <= from) {
+      return res.status(400).json({ message: 'The date range must end after it starts' });
+    }
+    if (to - from > 31 * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ message: 'The date range cannot exceed 31 days' });
+    }
+
+    const doctor = await User.exists({ _id: req.params.id, role: 'doctor' });
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    const slots = await Availability.findFreeSlots(req.params.id, from, to);
+
+    res.json({ from, to, slots });
+  } catch (error) {
+    console.error('Get slots error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid doctor ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ADMIN - Approve a doctor's credentials
+router.post('/:id/credentials/approve', auth, adminAuth, async (req, res) => {
+  try {
+    const doctor = await User.findOne({ _id: req.params.id, role: 'doctor' }).select('+credentials');
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    if (doctor.credentialStatus === 'none') {
+      return res.status(400).json({ message: 'This doctor has not submitted credentials' });
+    }
+
+    const before = { credentialStatus: doctor.credentialStatus };
+    doctor.credentialStatus = 'approved';
+    doctor.credentials.reviewedAt = new Date();
+    doctor.credentials.reviewedBy = req.user._id;
+    doctor.credentials.rejectionReason = undefined;
+
+    await doctor.save();
+
+    await audit.record(req, {
+      action: 'doctor.credentials-approve',
+      targetType: 'user',
+      targetId: doctor._id,
+      before,
+      after: { credentialStatus: doctor.credentialStatus },
+      metadata: { licenseNumber: doctor.credentials.licenseNumber }
+    });
+
+    res.json({
+      message: 'Credentials approved successfully',
+      credentialStatus: doctor.credentialStatus,
+      credentials: withDocumentLinks(doctor.credentials)
+    });
+  } catch (error) {
+    console.error('Approve credentials error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid doctor ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ADMIN - Reject a doctor's credentials with a reason
+router.post('/:id/credentials/reject', auth, adminAuth, [
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Rejection reason is required and must be less than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const doctor = await User.findOne({ _id: req.params.id, role: 'doctor' }).select('+credentials');
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    if (doctor.credentialStatus === 'none') {
+      return res.status(400).json({ message: 'This doctor has not submitted credentials' });
+    }
+
+    const before = { credentialStatus: doctor.credentialStatus };
+    doctor.credentialStatus = 'rejected';
+    doctor.credentials.reviewedAt = new Date();
+    doctor.credentials.reviewedBy = req.user._id;
+    doctor.credentials.rejectionReason = req.body.reason;
+
+    await doctor.save();
+
+    await audit.record(req, {
+      action: 'doctor.credentials-reject',
+      targetType: 'user',
+      targetId: doctor._id,
+      before,
+      after: { credentialStatus: doctor.credentialStatus },
+      metadata: { reason: req.body.reason }
+    });
+
+    res.json({
+      message: 'Credentials rejected successfully',
+      credentialStatus: doctor.credentialStatus,
+      credentials: withDocumentLinks(doctor.credentials)
+    });
+  } catch (error) {
+    console.error('Reject credentials error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid doctor ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Submit credentials for review (replaces any previous submission)
+router.post('/credentials', auth, doctorAuth, uploadCredentialDocuments.array('documents', 5), [
+  body('licenseNumber').trim().isLength({ min: 3, max: 100 }).withMessage('License number must be between 3 and 100 characters'),
+  body('issuingBody').trim().isLength({ min: 2, max: 200 }).withMessage('Issuing body must be between 2 and 200 characters')
+], async (req, res) => {
+  const uploadedFiles = req.files || [];
+  let documents = [];
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.user.role !== 'doctor') {
+      return res.status(403).json({ message: 'Only doctors can submit credentials' });
+    }
+
+    if (uploadedFiles.length === 0) {
+      return res.status(400).json({ message: 'At least one supporting document is required' });
+    }
+
+    for (const file of uploadedFiles) {
+      documents.push({
+        ...await storeUpload(file, credentialDocuments),
+        originalName: file.originalname
+      });
+    }
+
+    const doctor = await User.findById(req.user._id).select('+credentials');
+    const previousDocuments = doctor.credentials?.documents || [];
+
+    doctor.credentialStatus = 'pending';
+    doctor.credentials = {
+      licenseNumber: req.body.licenseNumber,
+      issuingBody: req.body.issuingBody,
+      documents,
+      submittedAt: new Date()
+    };
+
+    await doctor.save();
+    documents = [];
+    await destroyDocuments(previousDocuments);
+
+    res.status(201).json({
+      message: 'Credentials submitted for review',
+      credentialStatus: doctor.credentialStatus,
+      credentials: withDocumentLinks(doctor.credentials)
+    });
+  } catch (error) {
+    console.error('Submit credentials error:', error);
+    await destroyDocuments(documents);
+    if (error.code === 'INVALID_FILE_TYPE') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Update doctor profile
-router.put('/profile', auth, doctorAuth, async (req, res) => {
+router.put('/profile', auth, doctorAuth, [
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const allowedUpdates = ['name', 'specialty', 'experience', 'city', 'phone', 'address', 'bio'];
     const updates = {};
 
@@ -67,11 +515,36 @@ router.put('/profile', auth, doctorAuth, async (req, res) => {
       }
     });
 
-    const doctor = await User.findByIdAndUpdate(
+    // Approved credentials were checked against the old specialty, so review again
+    if (updates.specialty !== undefined && updates.specialty !== req.user.specialty &&
+        req.user.credentialStatus === 'approved') {
+      updates.credentialStatus = 'pending';
+    }
+
+    // Exact coordinates win; otherwise follow the city unless an exact location is set
+    const { latitude, longitude } = req.body;
+    if (latitude !== undefined && longitude !== undefined) {
+      updates.location = toPoint(latitude, longitude);
+      updates.locationSource = 'exact';
+    } else if (updates.city !== undefined && req.user.locationSource !== 'exact') {
+      const coordinates = geocodeCity(updates.city);
+      if (coordinates) {
+        updates.location = toPoint(coordinates.lat, coordinates.lng);
+        updates.locationSource = 'city';
+      }
+    }
+
+    // A new name gets a new slug; the old one keeps resolving
+    const renamed = updates.name !== undefined && (updates.name !== req.user.name || !req.user.slug);
+    if (renamed) {
+      await req.user.updateSlug(updates.name);
+    }
+
+    const doctor = await retrySlugConflicts(req.user, () => User.findByIdAndUpdate(
       req.user._id,
-      updates,
+      renamed ? { ...updates, slug: req.user.slug, previousSlugs: req.user.previousSlugs } : updates,
       { new: true }
-    ).select('-password');
+    ).select(publicSelect));
 
     res.json(doctor);
   } catch (error) {
@@ -80,4 +553,44 @@ router.put('/profile', auth, doctorAuth, async (req, res) => {
   }
 });
 
+// Publish or replace the doctor's own availability
+router.put('/availability', auth, doctorAuth, [
+  body('slotDuration').optional().isInt({ min: 5, max: 240 }).withMessage('Slot duration must be between 5 and 240 minutes'),
+  body('weeklySchedule').optional().isArray().withMessage('Weekly schedule must be an array'),
+  body('exceptions').optional().isArray().withMessage('Exceptions must be an array'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let availability = await Availability.findOne({ doctor: req.user._id });
+    if (!availability) {
+      availability = new Availability({ doctor: req.user._id });
+    }
+
+    const allowedUpdates = ['slotDuration', 'weeklySchedule', 'exceptions', 'isActive'];
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        availability[field] = req.body[field];
+      }
+    });
+
+    await availability.save();
+
+    res.json({
+      message: 'Availability updated successfully',
+      availability
+    });
+  } catch (error) {
+    console.error('Update availability error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
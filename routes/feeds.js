@@ -0,0 +1,152 @@
+// routes/feeds.js
+// Syndication feeds of approved, published blogs:
+//   /api/feeds/:format
+//   /api/feeds/category/:category/:format
+//   /api/feeds/tag/:tag/:format
+//   /api/feeds/author/:authorId/:format
+// where :format is rss, atom or json.
+const express = require('express');
+const crypto = require('crypto');
+const { param, query, validationResult } = require('express-validator');
+const Blog = require('../models/Blog');
+const User = require('../models/User');
+const { formats } = require('../utils/feeds');
+const { clientUrl, blogUrl, doctorUrl, requestUrl } = require('../utils/urls');
+
+const router = express.Router();
+
+const categories = [
+  'health-tips', 'medical-advice', 'nutrition', 'fitness', 'mental-health',
+  'diseases', 'treatments', 'lifestyle', 'research', 'general'
+];
+
+const feedValidation = [
+  param('format').isIn(Object.keys(formats)).withMessage('Format must be rss, atom or json'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+];
+
+// Latest public posts matching the filter, newest publication first
+const findPosts = async (filter, limit) => {
+  const posts = await Blog.aggregate([
+    { $match: { ...Blog.publicFilter(), ...filter } },
+    { $addFields: { sortDate: { $ifNull: ['$publishedAt', { $ifNull: ['$publishAt', '$createdAt'] }] } } },
+    { $sort: { sortDate: -1, _id: -1 } },
+    { $limit: limit }
+  ]);
+
+  return Blog.populate(posts, { path: 'author', select: 'name role slug' });
+};
+
+const toItem = (post) => ({
+  id: `urn:finddoctor:blog:${post._id}`,
+  title: post.title,
+  url: blogUrl(post),
+  summary: post.summary,
+  content: post.content,
+  contentHtml: post.contentHtml,
+  published: post.sortDate,
+  updated: post.updatedAt,
+  author: {
+    name: post.author?.name || 'FindDoctor',
+    url: post.author?.role === 'doctor' ? doctorUrl(post.author) : null
+  },
+  category: post.category,
+  tags: post.tags || [],
+  image: post.featuredImage?.url
+});
+
+// Build and send a feed, answering 304 when the client's copy is current
+const sendFeed = async (req, res, meta, filter) => {
+  const limit = parseInt(req.query.limit) || 20;
+  const posts = await findPosts(filter, limit);
+  const format = formats[req.params.format];
+
+  // An empty feed gets the epoch so its validators stay the same between requests
+  const updated = posts.reduce(
+    (latest, post) => (post.updatedAt > latest ? post.updatedAt : latest),
+    new Date(0)
+  );
+
+  const feed = {
+    ...meta,
+    language: 'en',
+    selfUrl: requestUrl(req),
+    updated
+  };
+  const body = format.build(feed, posts.map(toItem));
+
+  res.set({
+    'Content-Type': format.contentType,
+    'Cache-Control': 'public, max-age=300',
+    ETag: `"${crypto.createHash('sha1').update(body).digest('hex')}"`,
+    'Last-Modified': feed.updated.toUTCString()
+  });
+
+  // req.fresh compares If-None-Match / If-Modified-Since with the headers above
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  res.send(body);
+};
+
+// Wrap a feed handler with validation and error handling
+const feedHandler = (handler) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await handler(req, res);
+  } catch (error) {
+    console.error('Feed error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// All posts
+router.get('/:format', feedValidation, feedHandler((req, res) => sendFeed(req, res, {
+  title: 'FindDoctor Health Blog',
+  description: 'Health articles and medical advice from FindDoctor doctors',
+  link: `${clientUrl}/blogs`
+}, {})));
+
+// Posts in a category
+router.get('/category/:category/:format', [
+  param('category').isIn(categories).withMessage('Invalid category'),
+  ...feedValidation
+], feedHandler((req, res) => sendFeed(req, res, {
+  title: `FindDoctor Health Blog: ${req.params.category}`,
+  description: `Articles in the ${req.params.category} category`,
+  link: `${clientUrl}/blogs?category=${encodeURIComponent(req.params.category)}`
+}, { category: req.params.category })));
+
+// Posts with a tag
+router.get('/tag/:tag/:format', [
+  param('tag').trim().isLength({ min: 1, max: 50 }).withMessage('Invalid tag'),
+  ...feedValidation
+], feedHandler((req, res) => sendFeed(req, res, {
+  title: `FindDoctor Health Blog: #${req.params.tag}`,
+  description: `Articles tagged ${req.params.tag}`,
+  link: `${clientUrl}/blogs?tag=${encodeURIComponent(req.params.tag)}`
+}, { tags: req.params.tag })));
+
+// Posts by a doctor
+router.get('/author/:authorId/:format', [
+  param('authorId').isMongoId().withMessage('Invalid author ID'),
+  ...feedValidation
+], feedHandler(async (req, res) => {
+  const author = await User.findOne({ _id: req.params.authorId, role: { $in: ['doctor', 'admin'] } }).select('name role');
+  if (!author) {
+    return res.status(404).json({ message: 'Author not found' });
+  }
+
+  await sendFeed(req, res, {
+    title: `FindDoctor Health Blog: ${author.name}`,
+    description: `Articles by ${author.name}`,
+    link: author.role === 'doctor' ? doctorUrl(author) : `${clientUrl}/blogs?author=${author._id}`
+  }, { author: author._id });
+}));
+
+module.exports = router;
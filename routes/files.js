@@ -0,0 +1,29 @@
+// routes/files.js
+// Serves private files of the local storage provider through the short-lived
+// signed links made by fileUrl in config/storage.js.
+const express = require('express');
+const { resolveSignedLocalFile } = require('../config/storage');
+
+const router = express.Router();
+
+router.get('/private/*', (req, res) => {
+  let filePath;
+  try {
+    filePath = resolveSignedLocalFile(req.params[0], req.query.expires, req.query.signature);
+  } catch (error) {
+    filePath = null;
+  }
+
+  if (!filePath) {
+    return res.status(403).json({ message: 'Link is invalid or has expired' });
+  }
+
+  res.set('Cache-Control', 'private, no-store');
+  res.sendFile(filePath, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ message: 'File not found' });
+    }
+  });
+});
+
+module.exports = router;
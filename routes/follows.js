@@ -0,0 +1,131 @@
+// routes/follows.js
+// Following doctors, blog categories and tags. Followed sources make up the
+// personalized feed at GET /api/blogs/feed.
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const Follow = require('../models/Follow');
+const Blog = require('../models/Blog');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const categories = Blog.schema.path('category').enumValues;
+
+// Everything the user follows
+router.get('/', auth, async (req, res) => {
+  try {
+    const follows = await Follow.find({ follower: req.user._id })
+      .populate('doctor', 'name specialty city slug profileImage rating')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      // Doctors that were deleted since are left out
+      doctors: follows
+        .filter(follow => follow.targetType === 'doctor' && follow.doctor)
+        .map(follow => ({ doctor: follow.doctor, followedAt: follow.createdAt })),
+      categories: follows
+        .filter(follow => follow.targetType === 'category')
+        .map(follow => ({ name: follow.name, followedAt: follow.createdAt })),
+      tags: follows
+        .filter(follow => follow.targetType === 'tag')
+        .map(follow => ({ name: follow.name, followedAt: follow.createdAt }))
+    });
+  } catch (error) {
+    console.error('Get follows error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Follow a target; following twice is not an error
+const follow = async (req, res, target) => {
+  try {
+    await Follow.updateOne(
+      { follower: req.user._id, ...target },
+      { $setOnInsert: { follower: req.user._id, ...target } },
+      { upsert: true }
+    );
+
+    res.json({ message: 'Followed', isFollowing: true });
+  } catch (error) {
+    // A concurrent request created the same follow
+    if (error.code === 11000) {
+      return res.json({ message: 'Followed', isFollowing: true });
+    }
+    console.error('Follow error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const unfollow = async (req, res, target) => {
+  try {
+    const result = await Follow.deleteOne({ follower: req.user._id, ...target });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'You are not following this' });
+    }
+
+    res.json({ message: 'Unfollowed', isFollowing: false });
+  } catch (error) {
+    console.error('Unfollow error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// The lookup keys match the unique index, so name is null for doctors and
+// doctor is null for categories and tags
+const doctorTarget = (req) => ({ targetType: 'doctor', doctor: req.params.doctorId, name: null });
+const categoryTarget = (req) => ({ targetType: 'category', doctor: null, name: req.params.category });
+const tagTarget = (req) => ({ targetType: 'tag', doctor: null, name: req.params.tag.trim().toLowerCase() });
+
+// Only existing doctors other than yourself can be followed
+const checkDoctor = async (req, res, next) => {
+  try {
+    if (req.params.doctorId === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot follow yourself' });
+    }
+
+    const doctor = await User.exists({ _id: req.params.doctorId, role: 'doctor' });
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Check doctor error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+router.post('/doctors/:doctorId', auth, [
+  param('doctorId').isMongoId().withMessage('Invalid doctor ID')
+], validate, checkDoctor, (req, res) => follow(req, res, doctorTarget(req)));
+
+router.delete('/doctors/:doctorId', auth, [
+  param('doctorId').isMongoId().withMessage('Invalid doctor ID')
+], validate, (req, res) => unfollow(req, res, doctorTarget(req)));
+
+router.post('/categories/:category', auth, [
+  param('category').isIn(categories).withMessage('Invalid category')
+], validate, (req, res) => follow(req, res, categoryTarget(req)));
+
+router.delete('/categories/:category', auth, [
+  param('category').isIn(categories).withMessage('Invalid category')
+], validate, (req, res) => unfollow(req, res, categoryTarget(req)));
+
+router.post('/tags/:tag', auth, [
+  param('tag').trim().isLength({ min: 1, max: 50 }).withMessage('Tag must be between 1 and 50 characters')
+], validate, (req, res) => follow(req, res, tagTarget(req)));
+
+router.delete('/tags/:tag', auth, [
+  param('tag').trim().isLength({ min: 1, max: 50 }).withMessage('Tag must be between 1 and 50 characters')
+], validate, (req, res) => unfollow(req, res, tagTarget(req)));
+
+module.exports = router;
@@ -0,0 +1,227 @@
+// routes/notifications.js
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, query, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const { auth, verifyAccessToken } = require('../middleware/auth');
+const notifications = require('../services/notifications');
+
+const router = express.Router();
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+const REPLAY_LIMIT = 50;
+
+// List the user's notifications, newest first
+router.get('/', auth, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('unread').optional().isBoolean().withMessage('Unread must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { recipient: req.user._id };
+    if (req.query.unread === 'true') filter.readAt = null;
+
+    const [items, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .populate('actor', 'name profileImage')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ recipient: req.user._id, readAt: null })
+    ]);
+
+    res.json({
+      notifications: items,
+      unreadCount,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ recipient: req.user._id, readAt: null });
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the types the user has muted
+router.get('/preferences', auth, (req, res) => {
+  res.json({
+    types: Notification.TYPES,
+    muted: req.user.notificationPreferences?.muted || []
+  });
+});
+
+// Replace the list of muted types
+router.put('/preferences', auth, [
+  body('muted').isArray().withMessage('Muted must be an array'),
+  body('muted.*').isIn(Notification.TYPES).withMessage('Invalid notification type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    req.user.notificationPreferences = { muted: [...new Set(req.body.muted)] };
+    await req.user.save({ timestamps: false });
+
+    res.json({
+      message: 'Notification preferences updated',
+      muted: req.user.notificationPreferences.muted
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark everything read
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    notifications.publishUnreadCount(req.user._id).catch(error => {
+      console.error('Publish unread count error:', error);
+    });
+
+    res.json({
+      message: 'All notifications marked as read',
+      updated: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Live notifications as Server-Sent Events. EventSource can't send headers,
+// so the access token may also be passed as ?access_token=.
+router.get('/stream', async (req, res) => {
+  let result;
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '') || req.query.access_token;
+    result = token ? await verifyAccessToken(token) : null;
+  } catch (error) {
+    result = null;
+  }
+
+  if (!result || result.user.isSuspended) {
+    return res.status(401).json({ message: 'Token is not valid' });
+  }
+
+  const { user, session } = result;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    const id = event === 'notification' ? `id: ${data._id}\n` : '';
+    res.write(`${id}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const unsubscribe = notifications.subscribe(user._id, send);
+
+  // Comments keep proxies from closing an idle connection. The session is
+  // rechecked so logging out or being suspended ends the stream.
+  const heartbeat = setInterval(async () => {
+    try {
+      const current = await Session.findById(session._id);
+      if (!current || !current.isActive()) {
+        return res.end();
+      }
+      res.write(': ping\n\n');
+    } catch (error) {
+      console.error('Notification stream heartbeat error:', error);
+    }
+  }, HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    // Replay what the client missed while reconnecting
+    const lastEventId = req.header('Last-Event-ID');
+    if (lastEventId && mongoose.isValidObjectId(lastEventId)) {
+      const missed = await Notification.find({ recipient: user._id, _id: { $gt: lastEventId } })
+        .sort({ _id: 1 })
+        .limit(REPLAY_LIMIT);
+      missed.forEach(notification => send('notification', notification));
+    }
+
+    const unreadCount = await Notification.countDocuments({ recipient: user._id, readAt: null });
+    send('unread-count', { unreadCount });
+  } catch (error) {
+    console.error('Notification stream error:', error);
+  }
+});
+
+// Mark one notification read
+router.put('/:id/read', auth, [
+  param('id').isMongoId().withMessage('Invalid notification ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user._id });
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+      notifications.publishUnreadCount(req.user._id).catch(error => {
+        console.error('Publish unread count error:', error);
+      });
+    }
+
+    res.json({
+      message: 'Notification marked as read',
+      notification
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,357 @@
+// routes/readingLists.js
+// Bookmarks, grouped into named reading lists. "default" can be used in place
+// of a list id to reach the user's default "Saved" list.
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
+const ReadingList = require('../models/ReadingList');
+const Blog = require('../models/Blog');
+const { auth } = require('../middleware/auth');
+const { readingListUrl } = require('../utils/urls');
+
+const router = express.Router();
+
+const MAX_LISTS = 50;
+
+const blogFields = 'title slug summary featuredImage category tags author readTime publishedAt createdAt';
+
+// Load one of the user's lists from the :id param
+const findOwnList = (req) => {
+  if (req.params.id === 'default') {
+    return ReadingList.findDefault(req.user._id);
+  }
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return null;
+  }
+  return ReadingList.findOne({ _id: req.params.id, user: req.user._id });
+};
+
+// Populate a list's posts. Posts that are no longer public stay in the list
+// but are left out until they are visible again.
+const populateItems = async (list) => {
+  await list.populate({
+    path: 'items.blog',
+    match: Blog.publicFilter(),
+    select: blogFields,
+    populate: { path: 'author', select: 'name role specialty slug' }
+  });
+  return list.items.filter(item => item.blog);
+};
+
+const summarize = (list) => ({
+  _id: list._id,
+  name: list.name,
+  isDefault: list.isDefault,
+  itemCount: list.items.length,
+  shareUrl: list.shareId ? readingListUrl(list) : null,
+  createdAt: list.createdAt,
+  updatedAt: list.updatedAt
+});
+
+const nameValidation = body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters');
+
+// Get the user's reading lists
+router.get('/', auth, async (req, res) => {
+  try {
+    await ReadingList.findDefault(req.user._id);
+    const lists = await ReadingList.find({ user: req.user._id }).sort({ isDefault: -1, createdAt: 1 });
+
+    res.json({ lists: lists.map(summarize) });
+  } catch (error) {
+    console.error('Get reading lists error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a reading list
+router.post('/', auth, [nameValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const count = await ReadingList.countDocuments({ user: req.user._id });
+    if (count >= MAX_LISTS) {
+      return res.status(400).json({ message: `You can have at most ${MAX_LISTS} reading lists` });
+    }
+
+    const list = await ReadingList.create({ user: req.user._id, name: req.body.name });
+
+    res.status(201).json({
+      message: 'Reading list created',
+      list: summarize(list)
+    });
+  } catch (error) {
+    console.error('Create reading list error:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'You already have a reading list with this name' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Read-only view of a shared list, no login needed
+router.get('/shared/:shareId', [
+  param('shareId').isHexadecimal().isLength({ min: 32, max: 32 }).withMessage('Invalid share link')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const list = await ReadingList.findOne({ shareId: req.params.shareId })
+      .populate('user', 'name');
+    if (!list) {
+      return res.status(404).json({ message: 'Reading list not found' });
+    }
+
+    const items = await populateItems(list);
+
+    res.json({
+      name: list.name,
+      owner: { name: list.user?.name },
+      sharedAt: list.sharedAt,
+      items: items.map(item => ({ blog: item.blog, addedAt: item.addedAt }))
+    });
+  } catch (error) {
+    console.error('Get shared reading list error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get one of the user's lists with its posts
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const list = await findOwnList(req);
+    if (!list) {
+      return res.status(404).json({ message: 'Reading list not found' });
+    }
+
+    const items = await populateItems(list);
+
+    res.json({
+      ...summarize(list),
+      items: items.map(item => ({ blog: item.blog, addedAt: item.addedAt }))
+    });
+  } catch (error) {
+    console.error('Get reading list error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Rename a list
+router.put('/:id', auth, [nameValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const list = await findOwnList(req);
+    if (!list) {
+      return res.status(404).json({ message: 'Reading list not found' });
+    }
+
+    list.name = req.body.name;
+    await list.save();
+
+    res.json({
+      message: 'Reading list renamed',
+      list: summarize(list)
+    });
+  } catch (error) {
+    console.error('Rename reading list error:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'You already have a reading list with this name' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a list; the default list always exists
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const list = await findOwnList(req);
+    if (!list) {
+      return res.status(404).json({ message: 'Reading list not found' });
+    }
+
+    if (list.isDefault) {
+      return res.status(400).json({ message: 'The default reading list cannot be deleted' });
+    }
+
+    await list.deleteOne();
+
+    res.json({ message: 'Reading list deleted' });
+  } catch (error) {
+    console.error('Delete reading list error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Bookmark a post into a list; newest bookmarks come first
+router.post('/:id/items', auth, [
+  body('blogId').isMongoId().withMessage('Invalid blog ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const list = await findOwnList(req);
+    if (!list) {
+      return res.status(404).json({ message: 'Reading list not found' });
+    }
+
+    const blog = await Blog.exists({ _id: req.body.blogId, ...Blog.publicFilter() });
+    if (!blog) {
+      return res.status(404).json({ message: 'Blog not found' });
+    }
+
+    // Conditional so concurrent requests can't add the same post twice or
+    // grow the list past its limit
+    const updated = await ReadingList.findOneAndUpdate(
+      {
+        _id: list._id,
+        'items.blog': { $ne: blog._id },
+        [`items.${ReadingList.MAX_ITEMS - 1}`]: { $exists: false }
+      },
+      { $push: { items: { $each: [{ blog: blog._id, addedAt: new Date() }], $position: 0 } } },
+      { new: true }
+    );
+
+    if (!updated) {
+      const alreadyBookmarked = list.items.some(item => item.blog.equals(blog._id));
+      return alreadyBookmarked
+        ? res.status(409).json({ message: 'This post is already in the reading list' })
+        : res.status(400).json({ message: `A reading list can hold at most ${ReadingList.MAX_ITEMS} posts` });
+    }
+
+    res.status(201).json({
+      message: 'Post bookmarked',
+      list: summarize(updated)
+    });
+  } catch (error) {
+    console.error('Add bookmark error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a post from a list
+router.delete('/:id/items/:blogId', auth, [
+  param('blogId').isMongoId().withMessage('Invalid blog ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const list = await findOwnList(req);
+    if (!list) {
+      return res.status(404).json({ message: 'Reading list not found' });
+    }
+
+    const updated = await ReadingList.findOneAndUpdate(
+      { _id: list._id, 'items.blog': req.params.blogId },
+      { $pull: { items: { blog: req.params.blogId } } },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(404).json({ message: 'This post is not in the reading list' });
+    }
+
+    res.json({
+      message: 'Bookmark removed',
+      list: summarize(updated)
+    });
+  } catch (error) {
+    console.error('Remove bookmark error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reorder a list. Listed posts move to the front in the given order; posts
+// left out (e.g. ones that are hidden while unpublished) keep their order after them.
+router.put('/:id/order', auth, [
+  body('blogIds').isArray().withMessage('blogIds must be an array'),
+  body('blogIds.*').isMongoId().withMessage('Invalid blog ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const list = await findOwnList(req);
+    if (!list) {
+      return res.status(404).json({ message: 'Reading list not found' });
+    }
+
+    const items = new Map(list.items.map(item => [item.blog.toString(), item]));
+    const order = req.body.blogIds;
+    if (new Set(order).size !== order.length || !order.every(id => items.has(id))) {
+      return res.status(400).json({ message: 'The new order must only contain posts from the list, each once' });
+    }
+
+    const listed = new Set(order);
+    list.items = [
+      ...order.map(id => items.get(id)),
+      ...list.items.filter(item => !listed.has(item.blog.toString()))
+    ];
+    await list.save();
+
+    res.json({
+      message: 'Reading list reordered',
+      list: summarize(list)
+    });
+  } catch (error) {
+    console.error('Reorder reading list error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a public read-only link to a list
+router.post('/:id/share', auth, async (req, res) => {
+  try {
+    const list = await findOwnList(req);
+    if (!list) {
+      return res.status(404).json({ message: 'Reading list not found' });
+    }
+
+    list.share();
+    await list.save();
+
+    res.json({
+      message: 'Reading list shared',
+      shareUrl: readingListUrl(list)
+    });
+  } catch (error) {
+    console.error('Share reading list error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke the public link; sharing again creates a new one
+router.delete('/:id/share', auth, async (req, res) => {
+  try {
+    const list = await findOwnList(req);
+    if (!list) {
+      return res.status(404).json({ message: 'Reading list not found' });
+    }
+
+    list.unshare();
+    await list.save();
+
+    res.json({ message: 'Reading list is no longer shared' });
+  } catch (error) {
+    console.error('Unshare reading list error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,228 @@
+// routes/reviews.js
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Review = require('../models/Review');
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Get a doctor's reviews with pagination and star distribution
+router.get('/doctor/:doctorId', [
+  param('doctorId').isMongoId().withMessage('Invalid doctor ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    res.json(await Review.findForDoctor(req.params.doctorId, page, limit));
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// CREATE - Review a doctor after a completed appointment
+router.post('/', auth, [
+  body('doctorId').isMongoId().withMessage('Invalid doctor ID'),
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  body('comment').optional().trim().isLength({ max: 2000 }).withMessage('Comment must be less than 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { doctorId, rating, comment } = req.body;
+
+    if (doctorId === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot review yourself' });
+    }
+
+    const doctor = await User.exists({ _id: doctorId, role: 'doctor' });
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    const existingReview = await Review.exists({ doctor: doctorId, patient: req.user._id });
+    if (existingReview) {
+      return res.status(400).json({ message: 'You have already reviewed this doctor' });
+    }
+
+    // Only patients who actually saw the doctor can leave a review
+    const appointment = await Appointment.findOne({
+      doctor: doctorId,
+      patient: req.user._id,
+      status: 'completed'
+    }).sort({ startTime: -1 });
+
+    if (!appointment) {
+      return res.status(403).json({ message: 'You can only review doctors after a completed appointment' });
+    }
+
+    const review = new Review({
+      doctor: doctorId,
+      patient: req.user._id,
+      appointment: appointment._id,
+      rating,
+      comment
+    });
+
+    await review.save();
+    await review.populate('patient', 'name');
+
+    res.status(201).json({
+      message: 'Review added successfully',
+      review
+    });
+  } catch (error) {
+    console.error('Create review error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'You have already reviewed this doctor' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// UPDATE - Edit own review
+router.put('/:id', auth, [
+  body('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  body('comment').optional().trim().isLength({ max: 2000 }).withMessage('Comment must be less than 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (review.patient.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (req.body.rating !== undefined) review.rating = req.body.rating;
+    if (req.body.comment !== undefined) review.comment = req.body.comment;
+    review.isEdited = true;
+
+    await review.save();
+    await review.populate('patient', 'name');
+
+    res.json({
+      message: 'Review updated successfully',
+      review
+    });
+  } catch (error) {
+    console.error('Update review error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid review ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// DELETE - Delete own review (or any review as admin)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    const isOwner = review.patient.toString() === req.user._id.toString();
+    if (!isOwner && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await Review.findByIdAndDelete(req.params.id);
+
+    res.json({ message: 'Review deleted successfully' });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid review ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// REPLY - Doctor posts or updates a public reply to a review
+router.post('/:id/reply', auth, [
+  body('content').trim().isLength({ min: 1, max: 2000 }).withMessage('Reply must be between 1 and 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (review.doctor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the reviewed doctor can reply' });
+    }
+
+    const now = new Date();
+    review.reply = {
+      content: req.body.content,
+      createdAt: review.reply?.createdAt || now,
+      updatedAt: now
+    };
+
+    await review.save();
+
+    res.json({
+      message: 'Reply saved successfully',
+      review
+    });
+  } catch (error) {
+    console.error('Reply review error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid review ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove the doctor's reply
+router.delete('/:id/reply', auth, async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    const isDoctor = review.doctor.toString() === req.user._id.toString();
+    if (!isDoctor && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    review.reply = undefined;
+    await review.save();
+
+    res.json({ message: 'Reply deleted successfully' });
+  } catch (error) {
+    console.error('Delete reply error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid review ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,192 @@
+// routes/revisions.js
+// Mounted at /api/blogs/:blogId/revisions
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const Blog = require('../models/Blog');
+const BlogRevision = require('../models/BlogRevision');
+const { auth } = require('../middleware/auth');
+const { diffSnapshots } = require('../utils/diff');
+const relatedBlogs = require('../services/relatedBlogs');
+
+const router = express.Router({ mergeParams: true });
+
+// Revision history is visible to the blog author and admins
+router.use(auth, async (req, res, next) => {
+  try {
+    const blog = await Blog.findById(req.params.blogId);
+    if (!blog) {
+      return res.status(404).json({ message: 'Blog not found' });
+    }
+
+    const isAuthor = blog.author.toString() === req.user._id.toString();
+    if (!isAuthor && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await BlogRevision.ensureBaseline(blog);
+    req.blog = blog;
+    next();
+  } catch (error) {
+    console.error('Load blog revisions error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid blog ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const findRevision = (blog, revision) => BlogRevision.findOne({ blog: blog._id, revision });
+
+const latestRevision = (blog) => BlogRevision.findOne({ blog: blog._id }).sort({ revision: -1 });
+
+// Diff response between two revisions (from may be null for "nothing")
+const diffResponse = (from, to) => ({
+  from: from ? from.revision : null,
+  to: to.revision,
+  changes: diffSnapshots(from ? from.snapshot : {}, to.snapshot, BlogRevision.TRACKED_FIELDS)
+});
+
+// List revisions, newest first
+router.get('/', async (req, res) => {
+  try {
+    const revisions = await BlogRevision.find({ blog: req.blog._id })
+      .select('-snapshot.content')
+      .populate('editor', 'name role')
+      .sort({ revision: -1 });
+
+    res.json({
+      revisions,
+      currentRevision: revisions[0]?.revision || 0,
+      approvedRevision: req.blog.approvedRevision
+    });
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Field-level diff between two revisions (defaults to the latest and the one before)
+router.get('/diff', [
+  query('from').optional().isInt({ min: 1 }).withMessage('From must be a revision number'),
+  query('to').optional().isInt({ min: 1 }).withMessage('To must be a revision number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const to = req.query.to ? await findRevision(req.blog, parseInt(req.query.to)) : await latestRevision(req.blog);
+    if (!to) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    const fromNumber = req.query.from ? parseInt(req.query.from) : to.revision - 1;
+    const from = fromNumber > 0 ? await findRevision(req.blog, fromNumber) : null;
+    if (fromNumber > 0 && !from) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    res.json(diffResponse(from, to));
+  } catch (error) {
+    console.error('Diff revisions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// What changed since the last approved revision, for the approval step
+router.get('/since-approval', async (req, res) => {
+  try {
+    const to = await latestRevision(req.blog);
+    const from = req.blog.approvedRevision
+      ? await findRevision(req.blog, req.blog.approvedRevision)
+      : null;
+
+    res.json({
+      ...diffResponse(from, to),
+      isApproved: req.blog.isApproved,
+      neverApproved: !req.blog.approvedRevision
+    });
+  } catch (error) {
+    console.error('Diff since approval error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a single revision with its full snapshot
+router.get('/:revision', [
+  param('revision').isInt({ min: 1 }).withMessage('Invalid revision number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const revision = await findRevision(req.blog, parseInt(req.params.revision));
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    await revision.populate('editor', 'name role');
+    res.json(revision);
+  } catch (error) {
+    console.error('Get revision error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Restore the text fields of an older revision as a new revision. The featured
+// image is not restored because replaced images are deleted from storage.
+router.post('/:revision/restore', [
+  param('revision').isInt({ min: 1 }).withMessage('Invalid revision number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const revision = await findRevision(req.blog, parseInt(req.params.revision));
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    const blog = req.blog;
+    ['title', 'content', 'summary', 'category', 'tags'].forEach(field => {
+      blog[field] = revision.snapshot[field];
+    });
+
+    // Same rule as a regular edit: non-admin changes need approval again
+    if (req.user.role !== 'admin') {
+      blog.isApproved = false;
+      blog.approvedBy = undefined;
+      blog.approvedAt = undefined;
+      blog.rejectionReason = undefined;
+      blog.rejectedBy = undefined;
+      blog.rejectedAt = undefined;
+    }
+
+    await blog.save();
+    relatedBlogs.invalidate();
+    const restored = await BlogRevision.record(blog, req.user._id, { restoredFrom: revision.revision });
+
+    // Same as an admin edit: the restored revision keeps the approval
+    if (restored && req.user.role === 'admin' && blog.isApproved) {
+      blog.approvedRevision = restored.revision;
+      await Blog.updateOne({ _id: blog._id }, { approvedRevision: restored.revision });
+    }
+
+    res.json({
+      message: restored
+        ? `Revision ${revision.revision} restored as revision ${restored.revision}`
+        : 'The blog already matches this revision',
+      blog
+    });
+  } catch (error) {
+    console.error('Restore revision error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
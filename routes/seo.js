@@ -0,0 +1,291 @@
+// routes/seo.js
+// Crawler support: sitemaps and per-page metadata for server-side rendering.
+//   /api/seo/sitemap.xml                   urlset, or a sitemap index once it grows
+//   /api/seo/sitemaps/:type-:page.xml      one part of the index (blogs or doctors)
+//   /api/seo/meta/blogs/:id                Open Graph, Twitter card and JSON-LD
+//   /api/seo/meta/doctors/:id
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const Blog = require('../models/Blog');
+const User = require('../models/User');
+const { escapeXml } = require('../utils/escape');
+const { clientUrl, blogUrl, doctorUrl } = require('../utils/urls');
+const { slugOrIdFilter } = require('../utils/slug');
+
+const router = express.Router();
+
+const SITE_NAME = 'FindDoctor';
+// The protocol allows 50,000 URLs per sitemap
+const SITEMAP_PAGE_SIZE = Math.min(parseInt(process.env.SITEMAP_PAGE_SIZE) || 50000, 50000);
+
+const staticPages = [
+  { loc: `${clientUrl}/`, changefreq: 'daily', priority: '1.0' },
+  { loc: `${clientUrl}/doctors`, changefreq: 'daily', priority: '0.9' },
+  { loc: `${clientUrl}/blogs`, changefreq: 'daily', priority: '0.9' }
+];
+
+// URL sources per sitemap type. lastmod is updatedAt, which view and like
+// counters and account bookkeeping don't touch, so it moves only with the page.
+const sources = {
+  blogs: {
+    count: () => Blog.countDocuments(Blog.publicFilter()),
+    find: (skip, limit) => Blog.find(Blog.publicFilter())
+      .select('slug updatedAt')
+      .sort({ _id: 1 })
+      .skip(skip)
+      .limit(limit),
+    toUrl: (blog) => ({ loc: blogUrl(blog), lastmod: blog.updatedAt, changefreq: 'weekly', priority: '0.7' })
+  },
+  doctors: {
+    count: () => User.countDocuments({ role: 'doctor' }),
+    find: (skip, limit) => User.find({ role: 'doctor' })
+      .select('slug updatedAt')
+      .sort({ _id: 1 })
+      .skip(skip)
+      .limit(limit),
+    toUrl: (doctor) => ({ loc: doctorUrl(doctor), lastmod: doctor.updatedAt, changefreq: 'weekly', priority: '0.8' })
+  }
+};
+
+const urlset = (urls) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(url => `  <url>
+    <loc>${escapeXml(url.loc)}</loc>
+${url.lastmod ? `    <lastmod>${url.lastmod.toISOString()}</lastmod>\n` : ''}    <changefreq>${url.changefreq}</changefreq>
+    <priority>${url.priority}</priority>
+  </url>
+`).join('')}</urlset>
+`;
+
+const sitemapIndex = (sitemaps) => `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${sitemaps.map(sitemap => `  <sitemap>
+    <loc>${escapeXml(sitemap.loc)}</loc>
+${sitemap.lastmod ? `    <lastmod>${sitemap.lastmod.toISOString()}</lastmod>\n` : ''}  </sitemap>
+`).join('')}</sitemapindex>
+`;
+
+const sendXml = (res, xml) => {
+  res.set({
+    'Content-Type': 'application/xml; charset=utf-8',
+    'Cache-Control': 'public, max-age=3600'
+  });
+  res.send(xml);
+};
+
+// Most recent updatedAt among a type's documents, for the index lastmod
+const latestUpdate = async (type) => {
+  const latest = await sources[type].find(0, 1).sort({ updatedAt: -1 });
+  return latest[0]?.updatedAt;
+};
+
+// Main sitemap: a single urlset while everything fits, otherwise an index
+router.get('/sitemap.xml', async (req, res) => {
+  try {
+    const counts = {
+      blogs: await sources.blogs.count(),
+      doctors: await sources.doctors.count()
+    };
+
+    if (staticPages.length + counts.blogs + counts.doctors <= SITEMAP_PAGE_SIZE) {
+      const [blogs, doctors] = await Promise.all([
+        sources.blogs.find(0, counts.blogs),
+        sources.doctors.find(0, counts.doctors)
+      ]);
+
+      return sendXml(res, urlset([
+        ...staticPages,
+        ...blogs.map(sources.blogs.toUrl),
+        ...doctors.map(sources.doctors.toUrl)
+      ]));
+    }
+
+    const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}/sitemaps`;
+    const sitemaps = [{ loc: `${baseUrl}/pages-1.xml` }];
+    for (const type of Object.keys(sources)) {
+      const pages = Math.ceil(counts[type] / SITEMAP_PAGE_SIZE);
+      const lastmod = pages ? await latestUpdate(type) : null;
+      for (let page = 1; page <= pages; page++) {
+        sitemaps.push({ loc: `${baseUrl}/${type}-${page}.xml`, lastmod });
+      }
+    }
+
+    sendXml(res, sitemapIndex(sitemaps));
+  } catch (error) {
+    console.error('Sitemap error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// One part of the sitemap index
+router.get('/sitemaps/:type-:page.xml', [
+  param('type').isIn(['pages', ...Object.keys(sources)]).withMessage('Invalid sitemap type'),
+  param('page').isInt({ min: 1 }).withMessage('Invalid sitemap page')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.params.page);
+    if (req.params.type === 'pages') {
+      if (page !== 1) {
+        return res.status(404).json({ message: 'Sitemap not found' });
+      }
+      return sendXml(res, urlset(staticPages));
+    }
+
+    const source = sources[req.params.type];
+    const documents = await source.find((page - 1) * SITEMAP_PAGE_SIZE, SITEMAP_PAGE_SIZE);
+    if (documents.length === 0) {
+      return res.status(404).json({ message: 'Sitemap not found' });
+    }
+
+    sendXml(res, urlset(documents.map(source.toUrl)));
+  } catch (error) {
+    console.error('Sitemap part error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Trim text to a meta description length on a word boundary
+const truncate = (text = '', length = 160) => {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  if (clean.length <= length) return clean;
+  return `${clean.slice(0, length - 1).replace(/\s+\S*$/, '')}…`;
+};
+
+// Metadata for a published blog post
+router.get('/meta/blogs/:id', async (req, res) => {
+  try {
+    // Canonical points at the current slug even when an old one was used
+    const blog = await Blog.findOne({ ...slugOrIdFilter(req.params.id), ...Blog.publicFilter() })
+      .populate('author', 'name role specialty slug');
+
+    if (!blog) {
+      return res.status(404).json({ message: 'Blog not found' });
+    }
+
+    const url = blogUrl(blog);
+    const description = truncate(blog.summary);
+    const published = blog.publishedAt || blog.publishAt || blog.createdAt;
+    const authorUrl = blog.author?.role === 'doctor' ? doctorUrl(blog.author) : undefined;
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json({
+      title: `${blog.title} | ${SITE_NAME}`,
+      description,
+      canonical: url,
+      openGraph: {
+        'og:type': 'article',
+        'og:site_name': SITE_NAME,
+        'og:title': blog.title,
+        'og:description': description,
+        'og:url': url,
+        'og:image': blog.featuredImage?.url,
+        'article:published_time': published.toISOString(),
+        'article:modified_time': blog.updatedAt.toISOString(),
+        'article:section': blog.category,
+        'article:tag': blog.tags
+      },
+      twitter: {
+        'twitter:card': blog.featuredImage ? 'summary_large_image' : 'summary',
+        'twitter:title': blog.title,
+        'twitter:description': description,
+        'twitter:image': blog.featuredImage?.url
+      },
+      jsonLd: {
+        '@context': 'https://schema.org',
+        '@type': 'MedicalWebPage',
+        headline: blog.title,
+        description,
+        url,
+        mainEntityOfPage: url,
+        image: blog.featuredImage?.url,
+        datePublished: published.toISOString(),
+        dateModified: blog.updatedAt.toISOString(),
+        keywords: blog.tags.join(', ') || undefined,
+        about: blog.category,
+        author: blog.author ? {
+          '@type': blog.author.role === 'doctor' ? 'Physician' : 'Person',
+          name: blog.author.name,
+          url: authorUrl,
+          medicalSpecialty: blog.author.specialty || undefined
+        } : undefined,
+        publisher: {
+          '@type': 'Organization',
+          name: SITE_NAME,
+          url: clientUrl
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Blog meta error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Metadata for a doctor profile
+router.get('/meta/doctors/:id', async (req, res) => {
+  try {
+    const doctor = await User.findOne({ ...slugOrIdFilter(req.params.id), role: 'doctor' })
+      .select('slug name specialty city address phone bio profileImage rating reviews updatedAt');
+
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    const url = doctorUrl(doctor);
+    const title = `${doctor.name}, ${doctor.specialty} in ${doctor.city}`;
+    const description = truncate(doctor.bio || `${doctor.name} is a ${doctor.specialty} in ${doctor.city}. Book an appointment on ${SITE_NAME}.`);
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json({
+      title: `${title} | ${SITE_NAME}`,
+      description,
+      canonical: url,
+      openGraph: {
+        'og:type': 'profile',
+        'og:site_name': SITE_NAME,
+        'og:title': title,
+        'og:description': description,
+        'og:url': url,
+        'og:image': doctor.profileImage?.url
+      },
+      twitter: {
+        'twitter:card': 'summary',
+        'twitter:title': title,
+        'twitter:description': description,
+        'twitter:image': doctor.profileImage?.url
+      },
+      jsonLd: {
+        '@context': 'https://schema.org',
+        '@type': 'Physician',
+        name: doctor.name,
+        description,
+        url,
+        image: doctor.profileImage?.url,
+        medicalSpecialty: doctor.specialty,
+        telephone: doctor.phone || undefined,
+        address: {
+          '@type': 'PostalAddress',
+          streetAddress: doctor.address || undefined,
+          addressLocality: doctor.city
+        },
+        aggregateRating: doctor.reviews > 0 ? {
+          '@type': 'AggregateRating',
+          ratingValue: doctor.rating,
+          reviewCount: doctor.reviews,
+          bestRating: 5,
+          worstRating: 1
+        } : undefined
+      }
+    });
+  } catch (error) {
+    console.error('Doctor meta error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+// scripts/backfill-doctor-locations.js
+// Gives doctors registered before geospatial search a location geocoded from their city.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+const { geocodeCity, toPoint } = require('../utils/geocode');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/finddoctor');
+
+  const doctors = await User.find({ role: 'doctor', 'location.coordinates': { $exists: false } }).select('city');
+  let updated = 0;
+
+  for (const doctor of doctors) {
+    const coordinates = geocodeCity(doctor.city);
+    if (!coordinates) {
+      console.log(`No coordinates for city "${doctor.city}" (doctor ${doctor._id})`);
+      continue;
+    }
+
+    await User.updateOne(
+      { _id: doctor._id },
+      { location: toPoint(coordinates.lat, coordinates.lng), locationSource: 'city' }
+    );
+    updated += 1;
+  }
+
+  console.log(`Set locations for ${updated} of ${doctors.length} doctors`);
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Backfill locations error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,33 @@
+// scripts/backfill-slugs.js
+// Gives blogs and doctors created before slugs their generated slug.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Blog = require('../models/Blog');
+const User = require('../models/User');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/finddoctor');
+
+  // Oldest first so the earliest document keeps the unsuffixed slug
+  const blogs = await Blog.find({ slug: { $exists: false } }).select('title status publishedAt').sort({ createdAt: 1 });
+  for (const blog of blogs) {
+    await blog.updateSlug();
+    await Blog.updateOne({ _id: blog._id }, { slug: blog.slug }, { timestamps: false });
+  }
+
+  const doctors = await User.find({ role: 'doctor', slug: { $exists: false } }).select('name').sort({ createdAt: 1 });
+  for (const doctor of doctors) {
+    await doctor.updateSlug();
+    await User.updateOne({ _id: doctor._id }, { slug: doctor.slug }, { timestamps: false });
+  }
+
+  console.log(`Added slugs to ${blogs.length} blogs and ${doctors.length} doctors`);
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Backfill slugs error:', error);
+  process.exit(1);
+});
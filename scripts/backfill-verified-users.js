@@ -0,0 +1,31 @@
+// scripts/backfill-verified-users.js
+// Marks accounts created before email verification existed as verified, so
+// they keep commenting, contacting and blogging. Accounts that were sent a
+// verification email registered afterwards and still have to verify.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/finddoctor');
+
+  const result = await User.updateMany(
+    {
+      isVerified: { $ne: true },
+      verificationEmailSentAt: { $exists: false },
+      emailVerificationToken: { $exists: false }
+    },
+    { isVerified: true },
+    { timestamps: false }
+  );
+
+  console.log(`Marked ${result.modifiedCount} existing users verified`);
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Backfill verified users error:', error);
+  process.exit(1);
+});
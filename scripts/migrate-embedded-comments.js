@@ -0,0 +1,48 @@
+// scripts/migrate-embedded-comments.js
+// Moves comments embedded in blog documents into the comments collection.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Blog = require('../models/Blog');
+const Comment = require('../models/Comment');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/finddoctor');
+
+  // Read the raw documents: `comments` is no longer part of the Blog schema
+  const blogs = await Blog.collection.find({ 'comments.0': { $exists: true } }).toArray();
+  let moved = 0;
+
+  for (const blog of blogs) {
+    const comments = blog.comments.map(comment => ({
+      _id: comment._id,
+      blog: blog._id,
+      author: comment.user,
+      content: comment.content,
+      createdAt: comment.createdAt,
+      updatedAt: comment.createdAt
+    }));
+
+    // Re-running the script skips comments that were already moved
+    await Comment.bulkWrite(comments.map(comment => ({
+      updateOne: {
+        filter: { _id: comment._id },
+        update: { $setOnInsert: comment },
+        upsert: true
+      }
+    })), { timestamps: false });
+
+    await Blog.collection.updateOne({ _id: blog._id }, { $unset: { comments: '' } });
+    await Comment.refreshCount(blog._id);
+    moved += comments.length;
+  }
+
+  console.log(`Moved ${moved} comments from ${blogs.length} blogs`);
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Migrate comments error:', error);
+  process.exit(1);
+});
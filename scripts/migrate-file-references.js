@@ -0,0 +1,119 @@
+// scripts/migrate-file-references.js
+// Turns featured image and profile photo URLs and credential documents stored
+// before the storage providers into { provider, key, url } references, and
+// makes credential documents that were uploaded publicly private. Safe to run
+// again.
+const fs = require('fs/promises');
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Before the project modules: config/cloudinary and config/storage read the
+// environment when they load
+dotenv.config();
+
+const Blog = require('../models/Blog');
+const BlogRevision = require('../models/BlogRevision');
+const User = require('../models/User');
+const { cloudinary } = require('../config/cloudinary');
+const { uploadsDir, privateUploadsDir } = require('../config/storage');
+
+// Public id of a Cloudinary delivery URL, e.g.
+// https://res.cloudinary.com/demo/image/upload/v1699/blog-images/abc.jpg -> blog-images/abc
+const cloudinaryPublicId = (url) => {
+  const match = /^https?:\/\/res\.cloudinary\.com\/[^/]+\/[a-z]+\/upload\/(.+)$/i.exec(url);
+  if (!match) return null;
+  const path = match[1].replace(/^(?:[^/]+\/)*?v\d+\//, '');
+  return path.replace(/\.[a-z0-9]+$/i, '');
+};
+
+// URLs that aren't Cloudinary's are kept as 'external' files, which are never deleted
+const toReference = (url) => {
+  const publicId = cloudinaryPublicId(url);
+  return publicId
+    ? { provider: 'cloudinary', key: publicId, url }
+    : { provider: 'external', key: url, url };
+};
+
+// Move a public credential document to private storage, returning its new reference
+const makePrivate = async ({ url, ...document }) => {
+  if (document.provider === 'cloudinary') {
+    // Also purges the public URL from Cloudinary's CDN
+    const result = await cloudinary.uploader.rename(document.key, document.key, {
+      to_type: 'authenticated',
+      invalidate: true
+    });
+    return { ...document, key: `${result.public_id}.${result.format}`, private: true };
+  }
+
+  if (document.provider === 'local') {
+    const target = path.join(privateUploadsDir, document.key);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.rename(path.join(uploadsDir, document.key), target);
+    return { ...document, private: true };
+  }
+
+  // Files elsewhere can't be moved; keep them as they are
+  return { url, ...document };
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/finddoctor');
+
+  // Read the raw documents: the schemas no longer accept plain URLs
+  const blogs = await Blog.collection.find({ featuredImage: { $type: 'string' } }).toArray();
+  for (const blog of blogs) {
+    await Blog.collection.updateOne(
+      { _id: blog._id },
+      { $set: { featuredImage: blog.featuredImage ? toReference(blog.featuredImage) : null } }
+    );
+  }
+
+  const revisions = await BlogRevision.collection.find({ 'snapshot.featuredImage': { $type: 'string' } }).toArray();
+  for (const revision of revisions) {
+    const url = revision.snapshot.featuredImage;
+    await BlogRevision.collection.updateOne(
+      { _id: revision._id },
+      { $set: { 'snapshot.featuredImage': url ? toReference(url) : null } }
+    );
+  }
+
+  const users = await User.collection.find({ profileImage: { $type: 'string' } }).toArray();
+  for (const user of users) {
+    await User.collection.updateOne(
+      { _id: user._id },
+      { $set: { profileImage: user.profileImage ? toReference(user.profileImage) : null } }
+    );
+  }
+
+  const doctors = await User.collection.find({ 'credentials.documents.publicId': { $exists: true } }).toArray();
+  for (const doctor of doctors) {
+    const documents = doctor.credentials.documents.map(({ publicId, ...document }) => (
+      publicId ? { ...document, provider: 'cloudinary', key: publicId } : document
+    ));
+    await User.collection.updateOne({ _id: doctor._id }, { $set: { 'credentials.documents': documents } });
+  }
+
+  // Documents are saved one at a time so a failure part way keeps the ones already moved
+  const publicDocuments = await User.collection.find({
+    'credentials.documents': { $elemMatch: { key: { $exists: true }, private: { $ne: true } } }
+  }).toArray();
+  for (const doctor of publicDocuments) {
+    for (const [index, document] of doctor.credentials.documents.entries()) {
+      if (document.private || !document.key) continue;
+      await User.collection.updateOne(
+        { _id: doctor._id },
+        { $set: { [`credentials.documents.${index}`]: await makePrivate(document) } }
+      );
+    }
+  }
+
+  console.log(`Migrated ${blogs.length} blogs, ${revisions.length} revisions, ${users.length} profile photos and ${doctors.length} doctors' credentials`);
+  console.log(`Made the credential documents of ${publicDocuments.length} doctors private`);
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Migrate file references error:', error);
+  process.exit(1);
+});
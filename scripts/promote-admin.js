@@ -0,0 +1,38 @@
+// scripts/promote-admin.js
+// Promotes an existing account to admin, for bootstrapping the first admin:
+//   npm run promote-admin -- someone@example.com
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+
+dotenv.config();
+
+const run = async () => {
+  const email = process.argv[2];
+  if (!email) {
+    console.error('Usage: node scripts/promote-admin.js <email>');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/finddoctor');
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { role: 'admin' },
+    { new: true }
+  );
+
+  if (!user) {
+    console.error(`No user found with email ${email}`);
+  } else {
+    console.log(`${user.name} (${user.email}) is now an admin`);
+  }
+
+  await mongoose.disconnect();
+  if (!user) process.exit(1);
+};
+
+run().catch(error => {
+  console.error('Promote admin error:', error);
+  process.exit(1);
+});
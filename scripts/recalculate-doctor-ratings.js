@@ -0,0 +1,25 @@
+// scripts/recalculate-doctor-ratings.js
+// Replaces the demo ratings given at registration with values computed from real reviews.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+const Review = require('../models/Review');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/finddoctor');
+
+  const doctors = await User.find({ role: 'doctor' }).select('_id');
+  for (const doctor of doctors) {
+    await Review.updateDoctorRating(doctor._id);
+  }
+
+  console.log(`Recalculated ratings for ${doctors.length} doctors`);
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Recalculate ratings error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,27 @@
+// scripts/render-blog-content.js
+// Renders the Markdown of existing blogs to HTML, a table of contents and read
+// time. Pass --all to re-render every post after changing the renderer.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Blog = require('../models/Blog');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/finddoctor');
+
+  const filter = process.argv.includes('--all') ? {} : { contentHtml: { $exists: false } };
+  const blogs = await Blog.find(filter).select('content');
+
+  for (const blog of blogs) {
+    await Blog.updateOne({ _id: blog._id }, Blog.renderContent(blog.content), { timestamps: false });
+  }
+
+  console.log(`Rendered ${blogs.length} blogs`);
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Render blog content error:', error);
+  process.exit(1);
+});
@@ -2,12 +2,22 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const path = require('path');
 
 dotenv.config();
 
+const blogScheduler = require('./services/blogScheduler');
+const AuditLog = require('./models/AuditLog');
+const { uploadsDir } = require('./config/storage');
+
 const app = express();
 
+// Behind a proxy (TRUST_PROXY=1 for one hop) req.ip must come from
+// X-Forwarded-For, otherwise every client shares the proxy's rate limits
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 const allowedOrigins = ['http://localhost:5173', 'https://med-search-v1.vercel.app'];
 
 app.use(cors({
@@ -28,8 +38,8 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Serve static files for uploads
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Serve files stored by the local storage provider
+app.use('/uploads', express.static(uploadsDir));
 
 let dbConnected = false; // Track DB status
 
@@ -47,6 +57,8 @@ db.on('error', (err) => {
 db.once('open', () => {
   console.log('Connected to MongoDB');
   dbConnected = true;
+  blogScheduler.start();
+  AuditLog.syncRetention();
 });
 
 // Routes
@@ -71,13 +83,27 @@ app.use('/api/auth', require('./routes/auth'));
 app.use('/api/doctors', require('./routes/doctors'));
 app.use('/api/blogs', require('./routes/blogs'));
 app.use('/api/contact', require('./routes/contact'));
+app.use('/api/appointments', require('./routes/appointments'));
+app.use('/api/reviews', require('./routes/reviews'));
+app.use('/api/admin', require('./routes/admin'));
+app.use('/api/feeds', require('./routes/feeds'));
+app.use('/api/seo', require('./routes/seo'));
+app.use('/api/reading-lists', require('./routes/readingLists'));
+app.use('/api/follows', require('./routes/follows'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/files', require('./routes/files'));
 app.use('/api/blogs', require('./routes/blogs'));
 
 // Error handling middleware
 app.use((error, req, res, next) => {
   // Handle Multer errors (file upload errors)
   if (error.code === 'LIMIT_FILE_SIZE') {
-    return res.status(400).json({ message: 'File too large. Maximum size is 5MB.' });
+    // Limits differ per upload: 2MB for profile photos, 5MB otherwise
+    return res.status(400).json({ message: 'File too large. Profile photos may be up to 2MB, other files up to 5MB.' });
+  }
+
+  if (error.code === 'INVALID_FILE_TYPE') {
+    return res.status(400).json({ message: error.message });
   }
   
   // Handle validation errors
@@ -107,5 +133,5 @@ const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Auth routes available at: http://localhost:${PORT}/api/auth`);
-  console.log(`Static files served from: ${path.join(__dirname, 'uploads')}`);
+  console.log(`Static files served from: ${uploadsDir}`);
 });
\ No newline at end of file
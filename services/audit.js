@@ -0,0 +1,44 @@
+// services/audit.js
+// Writes audit log entries for the request being handled.
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+
+// Fields that must never end up in a snapshot
+const SECRET_FIELDS = [...User.SECRET_FIELDS, 'tokenHash', 'previousTokenHashes'];
+
+// Plain copy of the given fields of a document, for before/after snapshots
+const snapshot = (doc, fields) => {
+  if (!doc) return undefined;
+  const source = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  const copy = {};
+  fields
+    .filter(field => !SECRET_FIELDS.includes(field))
+    .forEach(field => {
+      if (source[field] !== undefined) copy[field] = source[field];
+    });
+  return copy;
+};
+
+// Record an action. actor defaults to the signed-in user. Never throws: a
+// failed audit write is logged rather than failing the action itself.
+const record = async (req, { action, targetType, targetId, before, after, metadata, actor = req.user }) => {
+  try {
+    await AuditLog.create({
+      actor: actor?._id,
+      actorEmail: actor?.email,
+      actorRole: actor?.role,
+      action,
+      targetType,
+      targetId,
+      before,
+      after,
+      metadata,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+module.exports = { record, snapshot };
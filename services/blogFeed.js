@@ -0,0 +1,96 @@
+// services/blogFeed.js
+// Personalized blog feed: public posts from followed doctors, categories and
+// tags, newest first, or popular posts for users who follow nothing.
+// Pages are addressed by an opaque cursor holding the sort key of the last
+// post, so new posts don't shift later pages.
+const mongoose = require('mongoose');
+const Blog = require('../models/Blog');
+
+const sortDate = { $ifNull: ['$publishedAt', { $ifNull: ['$publishAt', '$createdAt'] }] };
+const popularity = { $add: ['$views', { $multiply: [5, { $size: '$likes' }] }] };
+
+// Heavy fields a feed card doesn't need
+const hiddenFields = { content: 0, contentHtml: 0, toc: 0, likes: 0, previousSlugs: 0 };
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+// Returns null for anything that isn't a cursor this module produced
+const decodeCursor = (value) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString());
+    if (!mongoose.isValidObjectId(cursor.id) || typeof cursor.key !== 'number') return null;
+    if (!['following', 'popular'].includes(cursor.source)) return null;
+    return cursor;
+  } catch {
+    return null;
+  }
+};
+
+// Posts after the cursor in (key desc, _id desc) order
+const afterCursor = (field, cursor, toKey) => {
+  if (!cursor) return [];
+  const key = toKey(cursor.key);
+  const id = new mongoose.Types.ObjectId(cursor.id);
+  return [{ $match: { $or: [{ [field]: { $lt: key } }, { [field]: key, _id: { $lt: id } }] } }];
+};
+
+const runPage = async (source, match, field, keyExpression, cursor, limit, toKey, fromKey) => {
+  const posts = await Blog.aggregate([
+    { $match: { ...Blog.publicFilter(), ...match } },
+    { $addFields: { [field]: keyExpression, likesCount: { $size: '$likes' } } },
+    ...afterCursor(field, cursor, toKey),
+    { $sort: { [field]: -1, _id: -1 } },
+    { $limit: limit + 1 },
+    { $project: hiddenFields }
+  ]).collation({ locale: 'en', strength: 2 });
+
+  const hasMore = posts.length > limit;
+  const page = posts.slice(0, limit);
+  const last = page[page.length - 1];
+
+  await Blog.populate(page, { path: 'author', select: 'name role specialty slug profileImage' });
+
+  return {
+    blogs: page,
+    source,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor({ source, key: fromKey(last[field]), id: last._id.toString() }) : null
+  };
+};
+
+// sources comes from Follow.sourcesFor; tags match case-insensitively
+const followingPage = (sources, cursor, limit) => {
+  const $or = [];
+  if (sources.doctors.length) $or.push({ author: { $in: sources.doctors } });
+  if (sources.categories.length) $or.push({ category: { $in: sources.categories } });
+  if (sources.tags.length) $or.push({ tags: { $in: sources.tags } });
+
+  return runPage(
+    'following', { $or }, 'feedDate', sortDate, cursor, limit,
+    key => new Date(key), date => date.getTime()
+  );
+};
+
+// Scores change as posts are read and liked, so a post can be skipped or seen
+// twice while someone pages; acceptable for a fallback feed
+const popularPage = (cursor, limit) => runPage(
+  'popular', {}, 'popularity', popularity, cursor, limit,
+  key => key, key => key
+);
+
+// One feed page. A cursor continues the feed it came from, even if the user
+// started or stopped following something in the meantime.
+const getFeedPage = (sources, cursor, limit) => {
+  const followsSomething = sources.doctors.length || sources.categories.length || sources.tags.length;
+  const source = cursor ? cursor.source : (followsSomething ? 'following' : 'popular');
+
+  if (source === 'following' && followsSomething) {
+    return followingPage(sources, cursor, limit);
+  }
+  if (source === 'following') {
+    return { blogs: [], source, hasMore: false, nextCursor: null };
+  }
+  return popularPage(cursor, limit);
+};
+
+module.exports = { getFeedPage, decodeCursor };
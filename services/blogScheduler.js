@@ -0,0 +1,73 @@
+// services/blogScheduler.js
+// Publishes scheduled posts and archives expired ones.
+const Blog = require('../models/Blog');
+const relatedBlogs = require('./relatedBlogs');
+
+const DEFAULT_INTERVAL = 60 * 1000;
+const BATCH_SIZE = 100;
+
+let timer = null;
+let running = false;
+
+// Flip due posts one at a time. Every post is claimed with a conditional
+// update, so it is processed exactly once even if several instances run the
+// scheduler or a tick is repeated after a restart; state lives only in MongoDB.
+const processDue = async (filter, update) => {
+  const processed = [];
+
+  while (processed.length < BATCH_SIZE) {
+    const blog = await Blog.findOneAndUpdate(filter, update, { new: true });
+    if (!blog) break;
+    processed.push(blog);
+  }
+
+  return processed;
+};
+
+// Run one scheduler pass
+const tick = async () => {
+  // Skip if the previous pass is still running
+  if (running) return;
+  running = true;
+
+  try {
+    const now = new Date();
+
+    // publishedAt is the planned time, even when the scheduler runs late
+    const published = await processDue(
+      { status: 'scheduled', publishAt: { $lte: now } },
+      [{ $set: { status: 'published', publishedAt: '$publishAt' } }]
+    );
+
+    const archived = await processDue(
+      { status: { $in: ['published', 'scheduled'] }, unpublishAt: { $lte: now } },
+      { status: 'archived' }
+    );
+
+    if (published.length || archived.length) {
+      relatedBlogs.invalidate();
+      console.log(`Blog scheduler: published ${published.length}, archived ${archived.length}`);
+    }
+  } catch (error) {
+    console.error('Blog scheduler error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Start the scheduler; BLOG_SCHEDULER_INTERVAL_MS=0 disables it
+const start = (interval = parseInt(process.env.BLOG_SCHEDULER_INTERVAL_MS ?? DEFAULT_INTERVAL)) => {
+  if (timer || !interval) return;
+
+  // Catch up on anything that became due while the server was down
+  tick();
+  timer = setInterval(tick, interval);
+  timer.unref();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { start, stop, tick };
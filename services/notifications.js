@@ -0,0 +1,58 @@
+// services/notifications.js
+// Stores notifications and pushes them to the recipient's open event streams.
+// Streams are tracked in this process only; with several instances behind a
+// load balancer a client still gets everything on reconnect via Last-Event-ID.
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+
+// user id -> set of send functions, one per open stream
+const subscribers = new Map();
+
+const subscribe = (userId, send) => {
+  const key = userId.toString();
+  if (!subscribers.has(key)) subscribers.set(key, new Set());
+  subscribers.get(key).add(send);
+
+  return () => {
+    const sends = subscribers.get(key);
+    if (!sends) return;
+    sends.delete(send);
+    if (sends.size === 0) subscribers.delete(key);
+  };
+};
+
+const publish = (userId, event, data) => {
+  const sends = subscribers.get(userId.toString());
+  if (!sends) return;
+  sends.forEach(send => send(event, data));
+};
+
+// Create a notification unless the recipient caused it or muted its type.
+// Never throws: a failed notification must not fail the request behind it.
+const notify = async ({ recipient, actor, type, message, link, blog, comment, contact }) => {
+  try {
+    if (!recipient || (actor && actor.toString() === recipient.toString())) return null;
+
+    const user = await User.findById(recipient).select('notificationPreferences');
+    if (!user || user.notificationPreferences?.muted?.includes(type)) return null;
+
+    const notification = await Notification.create({
+      recipient, actor, type, message, link, blog, comment, contact
+    });
+
+    publish(recipient, 'notification', notification);
+    return notification;
+  } catch (error) {
+    console.error('Notification error:', error);
+    return null;
+  }
+};
+
+// Tell the user's other open streams that their unread count changed
+const publishUnreadCount = async (userId) => {
+  if (!subscribers.has(userId.toString())) return;
+  const unreadCount = await Notification.countDocuments({ recipient: userId, readAt: null });
+  publish(userId, 'unread-count', { unreadCount });
+};
+
+module.exports = { notify, subscribe, publishUnreadCount };
@@ -0,0 +1,136 @@
+// services/relatedBlogs.js
+// Related post recommendations with an in-memory cache. Routes that change
+// posts call invalidate(); the TTL also lets views and likes catch up.
+const Blog = require('../models/Blog');
+
+const MAX_RESULTS = 20;
+const CANDIDATES = 100;
+const CACHE_TTL = parseInt(process.env.RELATED_CACHE_TTL_MS ?? 10 * 60 * 1000);
+const CACHE_MAX_ENTRIES = 500;
+
+// Relevance weights
+const WEIGHTS = {
+  tag: 3,
+  category: 2,
+  author: 1.5,
+  text: 4
+};
+// Relevance halves for every RECENCY_HALF_LIFE days since publication
+const RECENCY_HALF_LIFE = 180;
+
+const listFields = 'title slug summary featuredImage category tags author readTime views likes publishedAt publishAt createdAt commentsCount';
+
+// blog id -> { expiresAt, results }, oldest entry first
+const cache = new Map();
+// Bumped on invalidation so a computation that started before it isn't cached
+let generation = 0;
+
+const invalidate = () => {
+  generation += 1;
+  cache.clear();
+};
+
+const publishedDate = (blog) => blog.publishedAt || blog.publishAt || blog.createdAt;
+
+// Posts sharing a tag, the category or the author
+const findStructuralCandidates = (blog) => Blog.find({
+  ...Blog.publicFilter(),
+  _id: { $ne: blog._id },
+  $or: [
+    { tags: { $in: blog.tags } },
+    { category: blog.category },
+    { author: blog.author }
+  ]
+})
+  .select(listFields)
+  .sort({ publishedAt: -1, createdAt: -1 })
+  .limit(CANDIDATES)
+  .lean();
+
+// Posts whose text matches the title and tags, with their text score
+const findTextCandidates = (blog) => {
+  const terms = [blog.title, ...blog.tags].join(' ');
+  return Blog.find(
+    { ...Blog.publicFilter(), _id: { $ne: blog._id }, $text: { $search: terms } },
+    { score: { $meta: 'textScore' } }
+  )
+    .select(listFields)
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(CANDIDATES)
+    .lean();
+};
+
+const score = (blog, candidate, maxTextScore, now) => {
+  const tags = new Set(blog.tags.map(tag => tag.toLowerCase()));
+  const sharedTags = (candidate.tags || []).filter(tag => tags.has(tag.toLowerCase())).length;
+
+  const relevance =
+    WEIGHTS.tag * sharedTags +
+    WEIGHTS.category * (candidate.category === blog.category ? 1 : 0) +
+    WEIGHTS.author * (candidate.author.toString() === blog.author.toString() ? 1 : 0) +
+    WEIGHTS.text * (maxTextScore ? (candidate.score || 0) / maxTextScore : 0);
+
+  if (relevance === 0) return 0;
+
+  const ageDays = Math.max(0, now - publishedDate(candidate)) / (24 * 60 * 60 * 1000);
+  const recency = Math.pow(0.5, ageDays / RECENCY_HALF_LIFE);
+  const engagement = Math.log10(1 + (candidate.views || 0) + 5 * (candidate.likes?.length || 0));
+
+  // Recency and engagement break ties between similarly relevant posts
+  // without letting an old popular post outrank a close match
+  return relevance * (0.5 + 0.5 * recency) * (1 + 0.1 * engagement);
+};
+
+const computeRelated = async (blog) => {
+  const [structural, text] = await Promise.all([
+    findStructuralCandidates(blog),
+    findTextCandidates(blog)
+  ]);
+
+  const candidates = new Map();
+  for (const candidate of [...structural, ...text]) {
+    const id = candidate._id.toString();
+    candidates.set(id, { ...candidates.get(id), ...candidate });
+  }
+
+  const maxTextScore = Math.max(0, ...text.map(candidate => candidate.score));
+  const now = Date.now();
+
+  const ranked = [...candidates.values()]
+    .map(candidate => ({ candidate, score: score(blog, candidate, maxTextScore, now) }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_RESULTS);
+
+  const results = ranked.map(({ candidate, score: value }) => {
+    const { likes, ...post } = candidate;
+    delete post.score;
+    return { ...post, likesCount: likes?.length || 0, relevance: Math.round(value * 100) / 100 };
+  });
+
+  return Blog.populate(results, { path: 'author', select: 'name role specialty slug profileImage' });
+};
+
+// Related public posts for a blog, at most `limit`
+const findRelated = async (blog, limit = 5) => {
+  const key = blog._id.toString();
+  const cached = cache.get(key);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.results.slice(0, limit);
+  }
+
+  const startedAt = generation;
+  const results = await computeRelated(blog);
+  if (startedAt !== generation) return results.slice(0, limit);
+
+  cache.delete(key);
+  cache.set(key, { expiresAt: Date.now() + CACHE_TTL, results });
+  if (cache.size > CACHE_MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+
+  return results.slice(0, limit);
+};
+
+module.exports = { findRelated, invalidate, MAX_RESULTS };
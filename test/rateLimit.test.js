@@ -0,0 +1,143 @@
+// test/rateLimit.test.js
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// config/rateLimit.js reads its overrides when it loads
+process.env.RATE_LIMIT_LOGIN = '2/60';
+process.env.RATE_LIMIT_LOGIN_ACCOUNT = '3/60';
+
+const express = require('express');
+const { limits, setStore, createMemoryStore } = require('../config/rateLimit');
+const { rateLimit, resetRateLimit } = require('../middleware/rateLimit');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The login route's limiters in front of a handler that clears the account
+// counter on a "successful" login, like routes/auth.js
+const createApp = () => {
+  const app = express();
+  app.set('trust proxy', true);
+  app.use(express.json());
+  app.post('/login', rateLimit('login'), rateLimit('loginAccount'), async (req, res) => {
+    if (req.body.password === 'right') {
+      await resetRateLimit('loginAccount', req);
+      return res.json({ ok: true });
+    }
+    res.status(400).json({ message: 'Invalid credentials' });
+  });
+  return app;
+};
+
+const withServer = async (run) => {
+  const server = createApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    await run(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+};
+
+const login = (base, { ip, email, password = 'wrong' }) => fetch(`${base}/login`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': ip },
+  body: JSON.stringify({ email, password })
+});
+
+beforeEach(() => setStore(createMemoryStore()));
+
+test('limits can be overridden from the environment', () => {
+  assert.equal(limits.login.max, 2);
+  assert.equal(limits.login.windowMs, 60 * 1000);
+  assert.equal(limits.loginAccount.max, 3);
+  assert.equal(limits.register.max, 5);
+});
+
+test('unknown limit names fail when the route is defined', () => {
+  assert.throws(() => rateLimit('nope'), /Unknown rate limit "nope"/);
+});
+
+test('memory store counts per key and starts over once the window ends', async () => {
+  const store = createMemoryStore();
+
+  assert.equal((await store.increment('a', 50)).count, 1);
+  assert.equal((await store.increment('a', 50)).count, 2);
+  assert.equal((await store.increment('b', 50)).count, 1);
+
+  await sleep(60);
+  assert.equal((await store.increment('a', 50)).count, 1);
+
+  await store.reset('a');
+  assert.equal((await store.increment('a', 50)).count, 1);
+});
+
+test('answers 429 with Retry-After once an IP is over its limit', async () => {
+  await withServer(async (base) => {
+    const first = await login(base, { ip: '10.0.0.1', email: 'a@example.com' });
+    assert.equal(first.status, 400);
+    assert.equal(first.headers.get('ratelimit-limit'), '2');
+    assert.equal(first.headers.get('ratelimit-remaining'), '1');
+    assert.equal(first.headers.get('ratelimit-policy'), '2;w=60');
+
+    await login(base, { ip: '10.0.0.1', email: 'b@example.com' });
+    const blocked = await login(base, { ip: '10.0.0.1', email: 'c@example.com' });
+    assert.equal(blocked.status, 429);
+    const retryAfter = parseInt(blocked.headers.get('retry-after'));
+    assert.ok(retryAfter > 0 && retryAfter <= 60);
+    assert.equal((await blocked.json()).retryAfter, retryAfter);
+
+    // Other clients are unaffected
+    const other = await login(base, { ip: '10.0.0.2', email: 'd@example.com' });
+    assert.equal(other.status, 400);
+  });
+});
+
+test('counts attempts on an account across IPs and reports the tighter limit', async () => {
+  await withServer(async (base) => {
+    let res;
+    for (const ip of ['10.0.1.1', '10.0.1.2', '10.0.1.3']) {
+      res = await login(base, { ip, email: 'Victim@Example.com ' });
+      assert.equal(res.status, 400);
+    }
+    // Each IP has one attempt left, the account none
+    assert.equal(res.headers.get('ratelimit-limit'), '3');
+    assert.equal(res.headers.get('ratelimit-remaining'), '0');
+
+    const blocked = await login(base, { ip: '10.0.1.4', email: 'victim@example.com' });
+    assert.equal(blocked.status, 429);
+  });
+});
+
+test('a successful login clears the account counter but not the IP counter', async () => {
+  await withServer(async (base) => {
+    await login(base, { ip: '10.0.2.1', email: 'user@example.com' });
+    await login(base, { ip: '10.0.2.2', email: 'user@example.com' });
+    const ok = await login(base, { ip: '10.0.2.3', email: 'user@example.com', password: 'right' });
+    assert.equal(ok.status, 200);
+
+    // The account gets its full allowance again
+    for (const ip of ['10.0.2.4', '10.0.2.5', '10.0.2.6']) {
+      assert.equal((await login(base, { ip, email: 'user@example.com' })).status, 400);
+    }
+    assert.equal((await login(base, { ip: '10.0.2.7', email: 'user@example.com' })).status, 429);
+
+    await login(base, { ip: '10.0.2.1', email: 'other@example.com' });
+    const blocked = await login(base, { ip: '10.0.2.1', email: 'other@example.com', password: 'right' });
+    assert.equal(blocked.status, 429);
+  });
+});
+
+test('requests go through when the store fails', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  setStore({
+    increment: async () => { throw new Error('store down'); },
+    reset: async () => { throw new Error('store down'); }
+  });
+
+  await withServer(async (base) => {
+    for (let i = 0; i < 4; i++) {
+      const res = await login(base, { ip: '10.0.3.1', email: 'x@example.com', password: 'right' });
+      assert.equal(res.status, 200);
+    }
+  });
+});
@@ -0,0 +1,220 @@
+// test/sessions.test.js
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.RATE_LIMIT_ENABLED = 'false';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const { createSession, rotateRefreshToken, hashToken } = require('../utils/tokens');
+
+// There is no database here, so the queries the session code makes run against
+// documents kept in memory. Only the operators it uses are understood.
+const sessions = [];
+const users = new Map();
+const auditEntries = [];
+
+const matchesValue = (actual, expected) => {
+  if (expected === null) return actual == null;
+  if (expected instanceof Date) return actual?.getTime() === expected.getTime();
+  if (typeof expected === 'object' && !(expected instanceof mongoose.Types.ObjectId)) {
+    return Object.entries(expected).every(([operator, value]) => {
+      if (operator === '$gt') return actual > value;
+      if (operator === '$ne') return String(actual) !== String(value);
+      throw new Error(`Unsupported operator ${operator}`);
+    });
+  }
+  if (Array.isArray(actual)) return actual.includes(expected);
+  return String(actual) === String(expected);
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, expected]) =>
+  matchesValue(Array.isArray(doc[field]) ? [...doc[field]] : doc[field], expected)
+);
+
+const applyUpdate = (doc, update) => {
+  const { $set = {}, $push = {}, ...fields } = update;
+  doc.set({ ...fields, ...$set });
+  Object.entries($push).forEach(([field, { $each, $slice }]) => {
+    doc[field] = [...doc[field], ...$each].slice($slice);
+  });
+};
+
+const createUser = (fields = {}) => {
+  const user = new User({ name: 'Test User', email: `user${users.size}@example.com`, password: 'secret1', ...fields });
+  users.set(String(user._id), user);
+  return user;
+};
+
+const requestFrom = (ip = '127.0.0.1') => ({ ip, get: () => 'node-test' });
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', require('../routes/auth'));
+  return app;
+};
+
+const withServer = async (run) => {
+  const server = createApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    await run(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+};
+
+const post = (url, body, token) => fetch(url, {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    ...(token ? { Authorization: `Bearer ${token}` } : {})
+  },
+  body: JSON.stringify(body)
+});
+
+mock.method(Session, 'create', async (data) => {
+  const session = new Session(data);
+  sessions.push(session);
+  return session;
+});
+mock.method(Session, 'findOne', async (filter) => sessions.find(session => matches(session, filter)) || null);
+mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+  const session = sessions.find(candidate => matches(candidate, filter));
+  if (!session) return null;
+  applyUpdate(session, update);
+  return session;
+});
+mock.method(Session, 'updateOne', async (filter, update) => {
+  const session = sessions.find(candidate => matches(candidate, filter));
+  if (session) applyUpdate(session, update);
+  return { modifiedCount: session ? 1 : 0 };
+});
+mock.method(User, 'findById', (id) => ({
+  select: async () => users.get(String(id)) || null
+}));
+mock.method(AuditLog, 'create', async (entry) => {
+  auditEntries.push(entry);
+  return entry;
+});
+
+beforeEach(() => {
+  sessions.length = 0;
+  users.clear();
+  auditEntries.length = 0;
+});
+
+test('a new session issues an access token bound to it and stores only the refresh token hash', async () => {
+  const user = createUser();
+  const { token, refreshToken, session } = await createSession(user, requestFrom());
+
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  assert.equal(decoded.userId, String(user._id));
+  assert.equal(decoded.sessionId, String(session._id));
+
+  assert.equal(session.tokenHash, hashToken(refreshToken));
+  assert.ok(!JSON.stringify(session.toObject()).includes(refreshToken));
+  assert.ok(session.expiresAt > new Date());
+});
+
+test('refreshing rotates the token and keeps the old hash for reuse detection', async () => {
+  const user = createUser();
+  const first = await createSession(user, requestFrom());
+
+  const second = await rotateRefreshToken(first.refreshToken, requestFrom('10.0.0.2'));
+  assert.ok(second.token);
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.equal(String(second.session._id), String(first.session._id));
+  assert.equal(second.session.tokenHash, hashToken(second.refreshToken));
+  assert.deepEqual([...second.session.previousTokenHashes], [hashToken(first.refreshToken)]);
+  assert.equal(second.session.ip, '10.0.0.2');
+
+  const third = await rotateRefreshToken(second.refreshToken, requestFrom());
+  assert.ok(third.refreshToken);
+  assert.equal(third.session.previousTokenHashes.length, 2);
+});
+
+test('replaying a rotated refresh token revokes the whole session', async () => {
+  const user = createUser();
+  const first = await createSession(user, requestFrom());
+  const second = await rotateRefreshToken(first.refreshToken, requestFrom());
+
+  const replay = await rotateRefreshToken(first.refreshToken, requestFrom('10.6.6.6'));
+  assert.equal(replay.reuseDetected, true);
+  assert.equal(replay.session.revokedReason, 'reuse-detected');
+  assert.ok(replay.session.revokedAt);
+
+  // The legitimate holder of the newest token is signed out too
+  assert.equal(await rotateRefreshToken(second.refreshToken, requestFrom()), null);
+});
+
+test('unknown and expired refresh tokens are refused', async () => {
+  const user = createUser();
+  const { refreshToken, session } = await createSession(user, requestFrom());
+
+  assert.equal(await rotateRefreshToken('not-a-token', requestFrom()), null);
+
+  session.expiresAt = new Date(Date.now() - 1000);
+  assert.equal(await rotateRefreshToken(refreshToken, requestFrom()), null);
+});
+
+test('refresh endpoint answers 401 and audits a replayed token', async () => {
+  const user = createUser();
+  const { refreshToken } = await createSession(user, requestFrom());
+
+  await withServer(async (base) => {
+    const rotated = await post(`${base}/api/auth/refresh`, { refreshToken });
+    assert.equal(rotated.status, 200);
+    const pair = await rotated.json();
+    assert.ok(pair.token && pair.refreshToken);
+
+    const replayed = await post(`${base}/api/auth/refresh`, { refreshToken });
+    assert.equal(replayed.status, 401);
+    assert.equal(auditEntries.at(-1).action, 'auth.refresh-token-reuse');
+    assert.equal(String(auditEntries.at(-1).metadata.userId), String(user._id));
+
+    const current = await post(`${base}/api/auth/refresh`, { refreshToken: pair.refreshToken });
+    assert.equal(current.status, 401);
+
+    const missing = await post(`${base}/api/auth/refresh`, {});
+    assert.equal(missing.status, 400);
+  });
+});
+
+test('access tokens stop working once their session is logged out', async () => {
+  const user = createUser();
+  const { token } = await createSession(user, requestFrom());
+
+  await withServer(async (base) => {
+    const logout = await post(`${base}/api/auth/logout`, {}, token);
+    assert.equal(logout.status, 200);
+    assert.equal(sessions[0].revokedReason, 'logout');
+
+    const again = await post(`${base}/api/auth/logout`, {}, token);
+    assert.equal(again.status, 401);
+  });
+});
+
+test('auth rejects missing, forged and session-less tokens and suspended users', async () => {
+  const user = createUser();
+  const suspended = createUser({ isSuspended: true });
+  const { token: suspendedToken } = await createSession(suspended, requestFrom());
+
+  const forged = jwt.sign({ userId: user._id, sessionId: new mongoose.Types.ObjectId() }, 'another-secret');
+  const unknownSession = jwt.sign({ userId: user._id, sessionId: new mongoose.Types.ObjectId() }, process.env.JWT_SECRET);
+  const legacy = jwt.sign({ userId: user._id }, process.env.JWT_SECRET);
+
+  await withServer(async (base) => {
+    assert.equal((await post(`${base}/api/auth/logout`, {})).status, 401);
+    assert.equal((await post(`${base}/api/auth/logout`, {}, forged)).status, 401);
+    assert.equal((await post(`${base}/api/auth/logout`, {}, unknownSession)).status, 401);
+    assert.equal((await post(`${base}/api/auth/logout`, {}, legacy)).status, 401);
+    assert.equal((await post(`${base}/api/auth/logout`, {}, suspendedToken)).status, 403);
+  });
+});
@@ -0,0 +1,140 @@
+// test/storage.test.js
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The storage config reads these when it loads
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+process.env.STORAGE_PROVIDER = 'local';
+process.env.UPLOADS_DIR = path.join(tmpDir, 'public');
+process.env.PRIVATE_UPLOADS_DIR = path.join(tmpDir, 'private');
+process.env.FILE_URL_SECRET = 'test-file-secret';
+process.env.API_URL = 'http://api.test';
+process.env.CLOUDINARY_CLOUD_NAME = 'demo';
+process.env.CLOUDINARY_API_KEY = '123456';
+process.env.CLOUDINARY_API_SECRET = 'cloudinary-secret';
+
+const express = require('express');
+const {
+  putFile,
+  fileUrl,
+  deleteFile,
+  resolveSignedLocalFile,
+  createCloudinaryStorage
+} = require('../config/storage');
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// Split a signed local link into the parts routes/files.js checks
+const parseSignedUrl = (url) => {
+  const { pathname, searchParams } = new URL(url);
+  return {
+    key: pathname.replace(/^\/api\/files\/private\//, ''),
+    expires: searchParams.get('expires'),
+    signature: searchParams.get('signature')
+  };
+};
+
+const withServer = async (app, run) => {
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    await run(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+};
+
+test('public files get a lasting url and are deleted from disk', async () => {
+  const file = await putFile(Buffer.from('image'), { folder: 'blog-images', extension: '.png' });
+
+  assert.equal(file.provider, 'local');
+  assert.match(file.url, /^http:\/\/api\.test\/uploads\/blog-images\/[0-9a-f]{32}\.png$/);
+  assert.equal(fileUrl(file), file.url);
+
+  const filePath = path.join(process.env.UPLOADS_DIR, file.key);
+  assert.ok(fs.existsSync(filePath));
+  await deleteFile(file);
+  assert.ok(!fs.existsSync(filePath));
+});
+
+test('private files are kept out of the public directory and have no stored url', async () => {
+  const file = await putFile(Buffer.from('%PDF-1.4'), { folder: 'doctor-credentials', extension: '.pdf', isPrivate: true });
+
+  assert.deepEqual(Object.keys(file).sort(), ['key', 'private', 'provider']);
+  assert.ok(fs.existsSync(path.join(process.env.PRIVATE_UPLOADS_DIR, file.key)));
+  assert.ok(!fs.existsSync(path.join(process.env.UPLOADS_DIR, file.key)));
+});
+
+test('a signed link resolves to the private file until it expires', async () => {
+  const file = await putFile(Buffer.from('%PDF-1.4'), { folder: 'doctor-credentials', extension: '.pdf', isPrivate: true });
+  const { key, expires, signature } = parseSignedUrl(fileUrl(file));
+
+  assert.equal(key, file.key);
+  assert.equal(resolveSignedLocalFile(key, expires, signature), path.join(process.env.PRIVATE_UPLOADS_DIR, file.key));
+
+  const expired = parseSignedUrl(fileUrl(file, -1));
+  assert.equal(resolveSignedLocalFile(expired.key, expired.expires, expired.signature), null);
+});
+
+test('a signed link is rejected when any part of it changes', async () => {
+  const file = await putFile(Buffer.from('%PDF-1.4'), { folder: 'doctor-credentials', extension: '.pdf', isPrivate: true });
+  const other = await putFile(Buffer.from('%PDF-1.4'), { folder: 'doctor-credentials', extension: '.pdf', isPrivate: true });
+  const { key, expires, signature } = parseSignedUrl(fileUrl(file));
+
+  const flipped = (signature[0] === 'a' ? 'b' : 'a') + signature.slice(1);
+  assert.equal(resolveSignedLocalFile(key, expires, flipped), null);
+  assert.equal(resolveSignedLocalFile(key, expires, signature.slice(1)), null);
+  assert.equal(resolveSignedLocalFile(key, expires, undefined), null);
+  assert.equal(resolveSignedLocalFile(other.key, expires, signature), null);
+  assert.equal(resolveSignedLocalFile(key, String(parseInt(expires) + 3600), signature), null);
+  assert.equal(resolveSignedLocalFile(key, 'soon', signature), null);
+});
+
+test('files route serves signed links without caching and refuses bad ones', async () => {
+  const file = await putFile(Buffer.from('%PDF-1.4 credential'), { folder: 'doctor-credentials', extension: '.pdf', isPrivate: true });
+  const { key, expires, signature } = parseSignedUrl(fileUrl(file));
+
+  const app = express();
+  app.use('/api/files', require('../routes/files'));
+
+  await withServer(app, async (base) => {
+    const ok = await fetch(`${base}/api/files/private/${key}?expires=${expires}&signature=${signature}`);
+    assert.equal(ok.status, 200);
+    assert.equal(ok.headers.get('cache-control'), 'private, no-store');
+    assert.equal(await ok.text(), '%PDF-1.4 credential');
+
+    const tampered = await fetch(`${base}/api/files/private/${key}?expires=${expires}&signature=${'0'.repeat(64)}`);
+    assert.equal(tampered.status, 403);
+
+    const unsigned = await fetch(`${base}/api/files/private/${key}`);
+    assert.equal(unsigned.status, 403);
+
+    // Even a correctly signed key can't reach outside the private directory
+    const escapeKey = '../public/x.png';
+    const escape = new URL(fileUrl({ provider: 'local', key: escapeKey, private: true })).searchParams;
+    const traversal = await fetch(`${base}/api/files/private/${encodeURIComponent(escapeKey)}?${escape}`);
+    assert.equal(traversal.status, 403);
+    assert.throws(
+      () => resolveSignedLocalFile(escapeKey, escape.get('expires'), escape.get('signature')),
+      /Invalid storage key/
+    );
+  });
+});
+
+test('cloudinary private files get expiring authenticated download links', () => {
+  const cloudinaryStorage = createCloudinaryStorage();
+  const before = Math.floor(Date.now() / 1000);
+  const url = new URL(cloudinaryStorage.signedUrl('doctor-credentials/abc.pdf', 600));
+
+  assert.equal(url.hostname, 'api.cloudinary.com');
+  assert.equal(url.searchParams.get('public_id'), 'doctor-credentials/abc');
+  assert.equal(url.searchParams.get('format'), 'pdf');
+  assert.equal(url.searchParams.get('type'), 'authenticated');
+  assert.ok(url.searchParams.get('signature'));
+
+  const expiresAt = parseInt(url.searchParams.get('expires_at'));
+  assert.ok(expiresAt >= before + 600 && expiresAt <= before + 601);
+});
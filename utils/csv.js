@@ -0,0 +1,15 @@
+// utils/csv.js
+// CSV rows per RFC 4180. Cells that spreadsheet apps would run as formulas
+// get a leading quote so exported data can't execute.
+const formulaStart = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (formulaStart.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+module.exports = { csvRow };
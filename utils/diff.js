@@ -0,0 +1,74 @@
+// utils/diff.js
+
+// Past this many line comparisons the diff falls back to "all removed, all added"
+const MAX_LCS_CELLS = 4000000;
+
+// Line diff based on the longest common subsequence. Returns a list of
+// { type: 'equal' | 'removed' | 'added', lines: [...] } chunks.
+const diffLines = (before = '', after = '') => {
+  const a = String(before ?? '').split('\n');
+  const b = String(after ?? '').split('\n');
+
+  if (a.length * b.length > MAX_LCS_CELLS) {
+    return [
+      { type: 'removed', lines: a },
+      { type: 'added', lines: b }
+    ];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const chunks = [];
+  const push = (type, line) => {
+    const last = chunks[chunks.length - 1];
+    if (last && last.type === type) last.lines.push(line);
+    else chunks.push({ type, lines: [line] });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  return chunks;
+};
+
+// Field-level diff between two snapshots. Text fields get a line diff and
+// array fields the added and removed items.
+const diffSnapshots = (before = {}, after = {}, fields) => fields.reduce((changes, field) => {
+  const from = before[field] ?? null;
+  const to = after[field] ?? null;
+  if (JSON.stringify(from) === JSON.stringify(to)) return changes;
+
+  const change = { field, from, to };
+  if (Array.isArray(from) || Array.isArray(to)) {
+    change.added = (to || []).filter(item => !(from || []).includes(item));
+    change.removed = (from || []).filter(item => !(to || []).includes(item));
+  } else if (typeof from === 'string' && typeof to === 'string') {
+    change.lines = diffLines(from, to);
+  }
+
+  changes.push(change);
+  return changes;
+}, []);
+
+module.exports = { diffLines, diffSnapshots };
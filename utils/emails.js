@@ -0,0 +1,97 @@
+// utils/emails.js
+const { escapeHtml } = require('./escape');
+const { clientUrl } = require('./urls');
+
+const passwordResetEmail = (user, token) => {
+  const link = `${clientUrl}/reset-password?token=${token}`;
+
+  return {
+    to: user.email,
+    subject: 'Reset your FindDoctor password',
+    text: `Hello ${user.name},\n\nUse the link below to choose a new password. It expires in 1 hour.\n\n${link}\n\nIf you did not request this, you can ignore this email.`,
+    html: `<p>Hello ${escapeHtml(user.name)},</p><p>Use the link below to choose a new password. It expires in 1 hour.</p><p><a href="${link}">${link}</a></p><p>If you did not request this, you can ignore this email.</p>`
+  };
+};
+
+const forcedPasswordResetEmail = (user, token) => {
+  const link = `${clientUrl}/reset-password?token=${token}`;
+
+  return {
+    to: user.email,
+    subject: 'Please reset your FindDoctor password',
+    text: `Hello ${user.name},\n\nAn administrator has required a password reset for your account and signed out your sessions. Use the link below to choose a new password. It expires in 1 hour; after that you can request a new one from the login page.\n\n${link}`,
+    html: `<p>Hello ${escapeHtml(user.name)},</p><p>An administrator has required a password reset for your account and signed out your sessions. Use the link below to choose a new password. It expires in 1 hour; after that you can request a new one from the login page.</p><p><a href="${link}">${link}</a></p>`
+  };
+};
+
+const passwordChangedEmail = (user) => ({
+  to: user.email,
+  subject: 'Your FindDoctor password was changed',
+  text: `Hello ${user.name},\n\nYour password was just changed and your other sessions were signed out. If this was not you, reset your password immediately.`,
+  html: `<p>Hello ${escapeHtml(user.name)},</p><p>Your password was just changed and your other sessions were signed out. If this was not you, reset your password immediately.</p>`
+});
+
+const accountLockedEmail = (user, token) => {
+  const link = `${clientUrl}/unlock-account?token=${token}`;
+  const until = user.lockUntil.toUTCString();
+
+  return {
+    to: user.email,
+    subject: 'Your FindDoctor account was locked',
+    text: `Hello ${user.name},\n\nAfter several failed sign-in attempts your account is locked until ${until}. If this was you, open the link below to unlock it now. It expires in 24 hours.\n\n${link}\n\nIf this was not you, consider resetting your password.`,
+    html: `<p>Hello ${escapeHtml(user.name)},</p><p>After several failed sign-in attempts your account is locked until ${until}. If this was you, open the link below to unlock it now. It expires in 24 hours.</p><p><a href="${link}">${link}</a></p><p>If this was not you, consider resetting your password.</p>`
+  };
+};
+
+const verificationEmail = (user, token) => {
+  const link = `${clientUrl}/verify-email?token=${token}`;
+
+  return {
+    to: user.email,
+    subject: 'Verify your FindDoctor email address',
+    text: `Hello ${user.name},\n\nPlease confirm your email address by opening the link below. It expires in 24 hours.\n\n${link}`,
+    html: `<p>Hello ${escapeHtml(user.name)},</p><p>Please confirm your email address by opening the link below. It expires in 24 hours.</p><p><a href="${link}">${link}</a></p>`
+  };
+};
+
+// Sent to the new address; the change only happens once this link is opened
+const emailChangeEmail = (user, newEmail, token) => {
+  const link = `${clientUrl}/confirm-email?token=${token}`;
+
+  return {
+    to: newEmail,
+    subject: 'Confirm your new FindDoctor email address',
+    text: `Hello ${user.name},\n\nOpen the link below to use this address for your FindDoctor account. It expires in 24 hours.\n\n${link}\n\nIf you did not request this, you can ignore this email.`,
+    html: `<p>Hello ${escapeHtml(user.name)},</p><p>Open the link below to use this address for your FindDoctor account. It expires in 24 hours.</p><p><a href="${link}">${link}</a></p><p>If you did not request this, you can ignore this email.</p>`
+  };
+};
+
+// Sent to the current address so a change the owner didn't ask for is noticed
+const emailChangeRequestedEmail = (user, newEmail) => ({
+  to: user.email,
+  subject: 'A change of your FindDoctor email address was requested',
+  text: `Hello ${user.name},\n\nSomeone asked to change the email address of your account to ${newEmail}. Nothing changes until the new address is confirmed. If this was not you, reset your password immediately.`,
+  html: `<p>Hello ${escapeHtml(user.name)},</p><p>Someone asked to change the email address of your account to ${escapeHtml(newEmail)}. Nothing changes until the new address is confirmed. If this was not you, reset your password immediately.</p>`
+});
+
+const contactReplyEmail = (user, reply) => {
+  const link = `${clientUrl}/my-messages`;
+
+  return {
+    to: user.email,
+    subject: 'We replied to your message',
+    text: `Hello ${user.name},\n\nOur team has replied to your message:\n\n${reply}\n\nYou can follow up from ${link}`,
+    html: `<p>Hello ${escapeHtml(user.name)},</p><p>Our team has replied to your message:</p><blockquote>${escapeHtml(reply)}</blockquote><p>You can follow up from <a href="${link}">your messages</a>.</p>`
+  };
+};
+
+module.exports = {
+  contactReplyEmail,
+  verificationEmail,
+  passwordResetEmail,
+  forcedPasswordResetEmail,
+  passwordChangedEmail,
+  accountLockedEmail,
+  emailChangeEmail,
+  emailChangeRequestedEmail
+};
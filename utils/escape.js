@@ -0,0 +1,15 @@
+// utils/escape.js
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Escape text for XML, dropping control characters XML 1.0 does not allow
+const escapeXml = (value) => escapeHtml(value)
+  .replace(/&#39;/g, '&apos;')
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '');
+
+module.exports = { escapeHtml, escapeXml };
@@ -0,0 +1,94 @@
+// utils/feeds.js
+// Serializers for RSS 2.0, Atom 1.0 and JSON Feed 1.1. Each takes the feed
+// metadata and a list of items built by routes/feeds.js.
+const { escapeXml } = require('./escape');
+
+const imageTypes = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+
+// Best guess of an image's MIME type from its URL
+const imageType = (url) => {
+  const extension = url.split('?')[0].split('.').pop().toLowerCase();
+  return imageTypes[extension] || 'image/jpeg';
+};
+
+const buildRss = (feed, items) => `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.link)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>${escapeXml(feed.language)}</language>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>
+${items.map(item => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="false">${escapeXml(item.id)}</guid>
+      <pubDate>${item.published.toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(item.author.name)}</dc:creator>
+      <description>${escapeXml(item.summary)}</description>
+      <category>${escapeXml(item.category)}</category>
+${item.tags.map(tag => `      <category>${escapeXml(tag)}</category>\n`).join('')}${item.image ? `      <enclosure url="${escapeXml(item.image)}" length="0" type="${imageType(item.image)}"/>\n` : ''}    </item>
+`).join('')}  </channel>
+</rss>
+`;
+
+const buildAtom = (feed, items) => `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(feed.language)}">
+  <id>${escapeXml(feed.selfUrl)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <updated>${feed.updated.toISOString()}</updated>
+  <link href="${escapeXml(feed.link)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>
+${items.map(item => `  <entry>
+    <id>${escapeXml(item.id)}</id>
+    <title>${escapeXml(item.title)}</title>
+    <link href="${escapeXml(item.url)}"/>
+    <published>${item.published.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>
+    <author>
+      <name>${escapeXml(item.author.name)}</name>
+${item.author.url ? `      <uri>${escapeXml(item.author.url)}</uri>\n` : ''}    </author>
+    <summary>${escapeXml(item.summary)}</summary>
+    <category term="${escapeXml(item.category)}"/>
+${item.tags.map(tag => `    <category term="${escapeXml(tag)}"/>\n`).join('')}${item.image ? `    <link rel="enclosure" type="${imageType(item.image)}" href="${escapeXml(item.image)}"/>\n` : ''}  </entry>
+`).join('')}</feed>
+`;
+
+const buildJsonFeed = (feed, items) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  home_page_url: feed.link,
+  feed_url: feed.selfUrl,
+  description: feed.description,
+  language: feed.language,
+  items: items.map(item => ({
+    id: item.id,
+    url: item.url,
+    title: item.title,
+    summary: item.summary,
+    content_html: item.contentHtml || undefined,
+    content_text: item.content,
+    image: item.image || undefined,
+    date_published: item.published.toISOString(),
+    date_modified: item.updated.toISOString(),
+    authors: [{ name: item.author.name, url: item.author.url || undefined }],
+    tags: [item.category, ...item.tags],
+    attachments: item.image ? [{ url: item.image, mime_type: imageType(item.image) }] : undefined
+  }))
+}, null, 2);
+
+const formats = {
+  rss: { contentType: 'application/rss+xml; charset=utf-8', build: buildRss },
+  atom: { contentType: 'application/atom+xml; charset=utf-8', build: buildAtom },
+  json: { contentType: 'application/feed+json; charset=utf-8', build: buildJsonFeed }
+};
+
+module.exports = { formats, buildRss, buildAtom, buildJsonFeed };
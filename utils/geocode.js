@@ -0,0 +1,31 @@
+// utils/geocode.js
+// Offline geocoding of city names against the bundled city table (data/cities.json)
+const cities = require('../data/cities.json');
+
+// Lowercase, strip accents and collapse separators so "Fès", "fes" and "FES" match
+const normalize = (value) => String(value)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const cityIndex = new Map();
+cities.forEach(city => {
+  [city.name, ...city.aliases].forEach(name => cityIndex.set(normalize(name), city));
+});
+
+// Coordinates for a city name, or null when it isn't in the table
+const geocodeCity = (name) => {
+  if (!name) return null;
+  const city = cityIndex.get(normalize(name));
+  return city ? { lat: city.lat, lng: city.lng } : null;
+};
+
+// GeoJSON point for a lat/lng pair (GeoJSON stores longitude first)
+const toPoint = (lat, lng) => ({
+  type: 'Point',
+  coordinates: [Number(lng), Number(lat)]
+});
+
+module.exports = { geocodeCity, toPoint };
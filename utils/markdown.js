@@ -0,0 +1,86 @@
+// utils/markdown.js
+// Renders blog Markdown to sanitized HTML. Raw HTML and tables are disabled;
+// headings start at h2 because the post title is the page's h1.
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+const { slugify } = require('./slug');
+
+const WORDS_PER_MINUTE = 200;
+
+const md = new MarkdownIt({ html: false, linkify: true, typographer: true })
+  .disable(['table']);
+
+// Markdown-it already escapes text, this is the allowlist for what it emits
+const sanitizeOptions = {
+  allowedTags: [
+    'h2', 'h3', 'h4', 'p', 'br', 'hr', 'strong', 'em', 's', 'blockquote',
+    'ul', 'ol', 'li', 'code', 'pre', 'a', 'img'
+  ],
+  allowedAttributes: {
+    h2: ['id'],
+    h3: ['id'],
+    h4: ['id'],
+    a: ['href', 'title', 'rel', 'target'],
+    img: ['src', 'alt', 'title'],
+    ol: ['start']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['https'] },
+  // Images whose src was stripped would render as broken placeholders
+  exclusiveFilter: (frame) => frame.tag === 'img' && !frame.attribs.src,
+  transformTags: {
+    h1: 'h2',
+    h5: 'h4',
+    h6: 'h4',
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow ugc noopener', target: '_blank' })
+  }
+};
+
+// Give headings unique ids and collect the h2/h3 ones for the table of contents
+const collectHeadings = (tokens) => {
+  const toc = [];
+  const used = new Map();
+
+  tokens.forEach((token, index) => {
+    if (token.type !== 'heading_open') return;
+
+    const text = tokens[index + 1].children
+      .filter(child => child.type === 'text' || child.type === 'code_inline')
+      .map(child => child.content)
+      .join('')
+      .trim();
+    const base = slugify(text) || 'section';
+    const count = used.get(base) || 0;
+    used.set(base, count + 1);
+    const id = count ? `${base}-${count + 1}` : base;
+    token.attrSet('id', id);
+
+    // h1 is rendered as h2, so it counts as a top-level entry
+    const level = Math.max(Number(token.tag.slice(1)), 2);
+    if (level <= 3) {
+      toc.push({ level, text, id });
+    }
+  });
+
+  return toc;
+};
+
+// Plain text of sanitized HTML, used for word counts
+const toText = (html) => sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} })
+  .replace(/&[a-z#0-9]+;/gi, ' ');
+
+const renderMarkdown = (source = '') => {
+  const tokens = md.parse(source, {});
+  const toc = collectHeadings(tokens);
+  const html = sanitizeHtml(md.renderer.render(tokens, md.options, {}), sanitizeOptions);
+  const words = toText(html).match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || [];
+
+  return {
+    html,
+    toc,
+    wordCount: words.length,
+    readTime: Math.max(1, Math.ceil(words.length / WORDS_PER_MINUTE))
+  };
+};
+
+module.exports = { renderMarkdown };
@@ -0,0 +1,9 @@
+// utils/regex.js
+
+// Escape user input so it can be embedded in a RegExp as a literal string
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive "contains" matcher for a user-supplied string
+const containsPattern = (value) => new RegExp(escapeRegExp(value), 'i');
+
+module.exports = { escapeRegExp, containsPattern };
@@ -0,0 +1,122 @@
+// utils/slug.js
+// URL slugs for blogs and doctor profiles
+const mongoose = require('mongoose');
+
+const MAX_LENGTH = 80;
+
+// Latin letters that don't decompose into a base letter plus accents
+const latin = {
+  'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'đ': 'd', 'ð': 'd',
+  'ł': 'l', 'þ': 'th', 'ı': 'i'
+};
+
+// Simplified Arabic romanization. Hamza carriers and madda decompose to their
+// base letter under NFD, so only base letters are listed.
+const arabic = {
+  'ا': 'a', 'ب': 'b', 'ت': 't', 'ث': 'th', 'ج': 'j', 'ح': 'h', 'خ': 'kh',
+  'د': 'd', 'ذ': 'dh', 'ر': 'r', 'ز': 'z', 'س': 's', 'ش': 'sh', 'ص': 's',
+  'ض': 'd', 'ط': 't', 'ظ': 'z', 'ع': 'a', 'غ': 'gh', 'ف': 'f', 'ق': 'q',
+  'ك': 'k', 'ل': 'l', 'م': 'm', 'ن': 'n', 'ه': 'h', 'و': 'w', 'ي': 'y',
+  'ى': 'a', 'ة': 'a', 'ء': '', 'پ': 'p', 'چ': 'ch', 'ڤ': 'v', 'گ': 'g',
+  '٠': '0', '١': '1', '٢': '2', '٣': '3', '٤': '4',
+  '٥': '5', '٦': '6', '٧': '7', '٨': '8', '٩': '9'
+};
+
+const OBJECT_ID = /^[0-9a-f]{24}$/i;
+
+const MAX_SLUG_ATTEMPTS = 5;
+
+const slugify = (text = '') => {
+  const slug = String(text)
+    .normalize('NFD')
+    // Latin accents, Arabic vowel marks and tatweel
+    .replace(/[\u0300-\u036f\u064b-\u065f\u0670\u0640]/g, '')
+    .toLowerCase()
+    .replace(/[^\u0000-\u007f]/g, char => latin[char] ?? arabic[char] ?? ' ')
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  return slug.slice(0, MAX_LENGTH).replace(/-+$/, '');
+};
+
+// First free slug from base, base-2, base-3... Slugs other documents used
+// before count as taken so their old links never point somewhere else.
+const uniqueSlug = async (Model, base, excludeId) => {
+  const pattern = new RegExp(`^${base}(-\\d+)?$`);
+  const others = await Model.find({
+    _id: { $ne: excludeId },
+    $or: [{ slug: pattern }, { previousSlugs: pattern }]
+  }).select('slug previousSlugs');
+
+  const taken = new Set();
+  for (const doc of others) {
+    taken.add(doc.slug);
+    (doc.previousSlugs || []).forEach(slug => taken.add(slug));
+  }
+
+  if (!taken.has(base)) return base;
+  let suffix = 2;
+  while (taken.has(`${base}-${suffix}`)) suffix += 1;
+  return `${base}-${suffix}`;
+};
+
+// Give a document a slug from source text, keeping the current one when the
+// text still produces it. With keepPrevious the replaced slug keeps resolving.
+const assignSlug = async (doc, source, { fallback, keepPrevious = true } = {}) => {
+  let base = slugify(source) || fallback;
+  // A slug that looks like an ObjectId would be looked up as an id
+  if (OBJECT_ID.test(base)) base = `${base}-${fallback}`;
+
+  const current = doc.slug;
+  if (current && new RegExp(`^${base}(-\\d+)?$`).test(current)) return;
+
+  const slug = await uniqueSlug(doc.constructor, base, doc._id);
+  const previous = (doc.previousSlugs || []).filter(old => old !== slug);
+  if (current && keepPrevious && !previous.includes(current)) previous.push(current);
+
+  doc.slug = slug;
+  doc.previousSlugs = previous;
+  // Kept for retrySlugConflicts, should the slug be taken before it is written
+  doc.$locals.slugBase = base;
+};
+
+const isSlugConflict = (error) => error?.code === 11000 && Boolean(error.keyPattern?.slug);
+
+// Run a write that stores doc's slug. Another document can claim the same slug
+// between assignSlug picking it and the write, which the unique index turns
+// away; the write is then retried with the next free slug.
+const retrySlugConflicts = async (doc, write) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await write();
+    } catch (error) {
+      const base = doc.$locals.slugBase;
+      if (!isSlugConflict(error) || !base || attempt >= MAX_SLUG_ATTEMPTS) throw error;
+
+      doc.slug = await uniqueSlug(doc.constructor, base, doc._id);
+      doc.previousSlugs = (doc.previousSlugs || []).filter(old => old !== doc.slug);
+    }
+  }
+};
+
+// Query filter matching a document by id, current slug or a previous slug
+const slugOrIdFilter = (value) => {
+  if (OBJECT_ID.test(value) && mongoose.isValidObjectId(value)) {
+    return { _id: value };
+  }
+  const slug = String(value).toLowerCase();
+  return { $or: [{ slug }, { previousSlugs: slug }] };
+};
+
+// Set when a document was reached through an old slug, so the client can
+// replace the URL it used
+const redirectHint = (doc, value, url) => {
+  if (!doc.slug || OBJECT_ID.test(value) || doc.slug === String(value).toLowerCase()) {
+    return null;
+  }
+  return { slug: doc.slug, url };
+};
+
+module.exports = { slugify, uniqueSlug, assignSlug, retrySlugConflicts, slugOrIdFilter, redirectHint };
@@ -0,0 +1,86 @@
+// utils/tokens.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+const MAX_PREVIOUS_HASHES = 50;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (userId, sessionId) => jwt.sign(
+  { userId, sessionId },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+);
+
+// Start a new session for a user and return its first token pair
+const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: req.get('User-Agent')?.slice(0, 500),
+    ip: req.ip,
+    expiresAt: refreshExpiry()
+  });
+
+  return {
+    token: signAccessToken(user._id, session._id),
+    refreshToken,
+    session
+  };
+};
+
+// Exchange a refresh token for a new pair. Returns null when the token is
+// unknown, expired or revoked. Presenting an already rotated token revokes
+// the whole session, since either the client or an attacker holds a copy;
+// that case returns { reuseDetected: true, session } instead of a new pair.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = generateRefreshToken();
+
+  const session = await Session.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        tokenHash: hashToken(nextToken),
+        lastUsedAt: new Date(),
+        ip: req.ip,
+        expiresAt: refreshExpiry()
+      },
+      $push: { previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_HASHES } }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { previousTokenHashes: tokenHash, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'reuse-detected' },
+      { new: true }
+    );
+    return reused ? { reuseDetected: true, session: reused } : null;
+  }
+
+  return {
+    token: signAccessToken(session.user, session._id),
+    refreshToken: nextToken,
+    session
+  };
+};
+
+module.exports = {
+  JWT_SECRET,
+  hashToken,
+  signAccessToken,
+  createSession,
+  rotateRefreshToken
+};
@@ -0,0 +1,15 @@
+// utils/urls.js
+// Public URLs of pages on the frontend, used in emails, feeds and sitemaps
+const clientUrl = (process.env.CLIENT_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+// Slugs are preferred; documents created before slugs fall back to their id
+const blogUrl = (blog) => `${clientUrl}/blogs/${blog.slug || blog._id}`;
+
+const doctorUrl = (doctor) => `${clientUrl}/doctors/${doctor.slug || doctor._id}`;
+
+const readingListUrl = (list) => `${clientUrl}/reading-lists/shared/${list.shareId}`;
+
+// Absolute URL of the current API request, e.g. for a feed's self link
+const requestUrl = (req) => `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+
+module.exports = { clientUrl, blogUrl, doctorUrl, readingListUrl, requestUrl };